@@ -41,7 +41,7 @@ const loader = {
 
         const overlay = document.createElement('div');
         overlay.className = 'httl-loader-overlay';
-        overlay.innerHTML = `<div class="httl-loader-content">${loaderHtml}</div>`;
+        overlay.innerHTML = trustedHTML(`<div class="httl-loader-content">${loaderHtml}</div>`);
         document.body.appendChild(overlay);
     },
 
@@ -76,6 +76,139 @@ const loader = {
     }
 };
 
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Global library options
+ * @typedef {Object} HttlConfig
+ * @property {boolean} autoRender - Re-render dependent elements automatically when watched variables change
+ * @property {boolean} morph - Patch rendered HTML into the live DOM instead of replacing innerHTML
+ * @property {'function'|'csp'} evaluator - How expressions run: new Function() or the CSP-safe interpreter
+ * @property {boolean} escape - HTML-escape {{ }} and ${ } output ({{{ }}} and $!{ } are always raw)
+ */
+
+/** @type {HttlConfig} */
+const httlConfig = {
+    autoRender: false,
+    morph: true,
+    evaluator: 'function',
+    escape: true
+};
+
+/**
+ * Updates global library options
+ * @param {Partial<HttlConfig>} options - Options to change
+ * @returns {HttlConfig} The current configuration
+ */
+function configure(options = {}) {
+    for (const key of Object.keys(options)) {
+        if (!(key in httlConfig)) {
+            console.warn(`HTTL-S configure(): Unknown option "${key}"`);
+            continue;
+        }
+        httlConfig[key] = options[key];
+    }
+    return httlConfig;
+}
+
+// ============================================================================
+// TRUSTED TYPES
+// Every HTML and script sink goes through one policy so the library works under
+// Content-Security-Policy: require-trusted-types-for 'script'. By default a
+// policy named "httl-s" is created on first use; apps can supply their own
+// (e.g. one that sanitizes) with useTrustedTypesPolicy().
+// ============================================================================
+
+/** Name of the policy the library creates */
+const TRUSTED_TYPES_POLICY_NAME = 'httl-s';
+
+/** @type {{createHTML?: Function, createScript?: Function, createScriptURL?: Function}|null|undefined} Active policy (undefined until first use) */
+let trustedTypesPolicy;
+
+/**
+ * Returns the active policy, creating the "httl-s" policy on first use
+ * @returns {Object|null} Policy, or null when Trusted Types are unavailable
+ */
+function getTrustedTypesPolicy() {
+    if (trustedTypesPolicy !== undefined) return trustedTypesPolicy;
+    trustedTypesPolicy = null;
+    if (window.trustedTypes && typeof window.trustedTypes.createPolicy === 'function') {
+        try {
+            // Templates are developer-authored; values are escaped and data-innerhtml is sanitized before this point
+            trustedTypesPolicy = window.trustedTypes.createPolicy(TRUSTED_TYPES_POLICY_NAME, {
+                createHTML: html => html,
+                createScript: code => code,
+                createScriptURL: url => url
+            });
+        } catch (e) {
+            console.error(`HTTL-S: Could not create Trusted Types policy "${TRUSTED_TYPES_POLICY_NAME}". ` +
+                `Allow it with "trusted-types ${TRUSTED_TYPES_POLICY_NAME}" or call useTrustedTypesPolicy().`, e);
+        }
+    }
+    return trustedTypesPolicy;
+}
+
+/**
+ * Makes the library use an app-provided Trusted Types policy for all its sinks
+ * instead of creating the "httl-s" policy. Call before initState().
+ * @param {{createHTML?: Function, createScript?: Function, createScriptURL?: Function}|null} policy - A TrustedTypePolicy (or null to use plain strings)
+ */
+function useTrustedTypesPolicy(policy) {
+    if (policy !== null && (typeof policy !== 'object' || typeof policy.createHTML !== 'function')) {
+        console.error('HTTL-S useTrustedTypesPolicy(): Expected a Trusted Types policy with createHTML()');
+        return;
+    }
+    trustedTypesPolicy = policy;
+}
+
+/**
+ * Wraps HTML for an innerHTML sink
+ * @param {string} html - HTML string
+ * @returns {TrustedHTML|string} Trusted value, or the string without Trusted Types
+ */
+function trustedHTML(html) {
+    const policy = getTrustedTypesPolicy();
+    return policy ? policy.createHTML(html) : html;
+}
+
+/**
+ * Wraps code for a script text sink
+ * @param {string} code - Script source
+ * @returns {TrustedScript|string} Trusted value, or the string without Trusted Types
+ */
+function trustedScript(code) {
+    const policy = getTrustedTypesPolicy();
+    return policy && policy.createScript ? policy.createScript(code) : code;
+}
+
+/**
+ * Wraps an attribute value when the attribute is a Trusted Types sink
+ * (event handlers, iframe srcdoc, script src)
+ * @param {Element} element - Element receiving the attribute
+ * @param {string} name - Attribute name
+ * @param {string} value - Attribute value
+ * @returns {*} Value to pass to setAttribute()
+ */
+function trustedAttributeValue(element, name, value) {
+    const attr = name.toLowerCase();
+    if (attr.startsWith('on')) return trustedScript(value);
+    if (attr === 'srcdoc' && element.tagName === 'IFRAME') return trustedHTML(value);
+    if (attr === 'src' && element.tagName === 'SCRIPT') return trustedScriptURL(value);
+    return value;
+}
+
+/**
+ * Wraps a URL for a script src sink
+ * @param {string} url - Script URL
+ * @returns {TrustedScriptURL|string} Trusted value, or the string without Trusted Types
+ */
+function trustedScriptURL(url) {
+    const policy = getTrustedTypesPolicy();
+    return policy && policy.createScriptURL ? policy.createScriptURL(url) : url;
+}
+
 // ============================================================================
 // STATE WATCHING
 // ============================================================================
@@ -86,6 +219,9 @@ const scheduledCallbacks = new WeakSet();
 /** @type {WeakMap<Object, WeakMap<Function, Proxy>>} Cache for proxies per target+callback */
 const proxyCache = new WeakMap();
 
+/** @type {WeakMap<Proxy, Object>} Raw object behind each deep proxy */
+const proxyTargets = new WeakMap();
+
 /** @type {Function|null} Currently executing watcher callback (for self-mutation detection) */
 let activeWatcher = null;
 
@@ -112,6 +248,226 @@ function scheduleCallback(cb) {
 /** @type {Set<string>} Set of watched variable names (for duplicate protection) */
 const watchedVars = new Set();
 
+/**
+ * @typedef {Object} ComputedEntry
+ * @property {function(): *} fn - Getter that derives the value
+ * @property {Set<string>} deps - Watched/computed names read during the last run
+ * @property {boolean} dirty - Whether the cached value must be recomputed
+ * @property {boolean} computing - Guards against circular computed values
+ * @property {*} value - Cached result of the last run
+ */
+
+/** @type {Map<string, ComputedEntry>} Computed values by global name */
+const computedVars = new Map();
+
+/** @type {Array<Set<string>>} Stack of active dependency collectors */
+const dependencyStack = [];
+
+/**
+ * Records a read of a watched or computed variable in the active collector
+ * @param {string} name - Variable name that was read
+ */
+function trackDependency(name) {
+    const collector = dependencyStack[dependencyStack.length - 1];
+    if (collector && name) collector.add(name);
+}
+
+/**
+ * Runs a function while recording every watched/computed variable it reads
+ * @param {Function} fn - Function to run
+ * @returns {{value: *, deps: Set<string>}} Return value and collected dependency names
+ */
+function collectDependencies(fn) {
+    const deps = new Set();
+    dependencyStack.push(deps);
+    try {
+        return { value: fn(), deps };
+    } finally {
+        dependencyStack.pop();
+    }
+}
+
+/**
+ * Marks everything derived from a variable as stale.
+ * Called whenever a watched variable is reassigned or mutated.
+ * @param {string} name - Name of the variable that changed
+ */
+function notifyChange(name) {
+    for (const [computedName, entry] of computedVars) {
+        if (!entry.dirty && entry.deps.has(name)) {
+            entry.dirty = true;
+            notifyChange(computedName); // Computed values may depend on other computed values
+        }
+    }
+
+    if (rendersOnChange(name)) {
+        const dependents = renderDependencies.get(name);
+        if (dependents) dependents.forEach(element => scheduleRender(element, name));
+    }
+}
+
+// ============================================================================
+// AUTOMATIC RENDER TRACKING (opt-in via configure({ autoRender: true }))
+// ============================================================================
+
+/** @type {Map<string, Set<Element>>} Elements whose last render read each variable */
+const renderDependencies = new Map();
+
+/** @type {WeakMap<Element, Set<string>>} Variables each element read during its last render */
+const elementDependencies = new WeakMap();
+
+/** @type {Set<Element>} Elements waiting to be re-rendered this tick */
+const pendingRenders = new Set();
+
+/**
+ * Checks whether a change re-renders the elements that read it. Loop paging info
+ * (loopInfo()) always does: a pager can render before its loop has published it
+ * @param {string} name - Variable or loopInfo dependency name
+ * @returns {boolean} True if dependents are re-rendered
+ */
+function rendersOnChange(name) {
+    return httlConfig.autoRender || name.startsWith('loopInfo:');
+}
+
+/**
+ * Runs an element's render function and records which watched variables
+ * it read (only loopInfo() reads outside autoRender mode)
+ * @param {Element} element - Element being rendered
+ * @param {Function} renderFn - Function that performs the render
+ * @returns {*} Return value of renderFn
+ */
+function trackRender(element, renderFn) {
+    const { value, deps } = collectDependencies(renderFn);
+    for (const name of deps) {
+        if (!rendersOnChange(name)) deps.delete(name);
+    }
+    untrackRender(element);
+    elementDependencies.set(element, deps);
+    for (const name of deps) {
+        if (!renderDependencies.has(name)) renderDependencies.set(name, new Set());
+        renderDependencies.get(name).add(element);
+    }
+    return value;
+}
+
+/**
+ * Forgets the dependencies recorded for an element
+ * @param {Element} element - Element to forget
+ */
+function untrackRender(element) {
+    const deps = elementDependencies.get(element);
+    if (!deps) return;
+    for (const name of deps) {
+        const dependents = renderDependencies.get(name);
+        if (dependents) dependents.delete(element);
+    }
+    elementDependencies.delete(element);
+}
+
+/**
+ * Queues an element for re-render. All queued elements render once per microtask.
+ * @param {Element} element - Element to re-render
+ * @param {string} [name] - Variable whose change caused the render
+ */
+function scheduleRender(element, name) {
+    if (pendingRenders.size === 0) queueMicrotask(flushRenders);
+    pendingRenders.add(element);
+    if (name) {
+        if (!renderReasons.has(element)) renderReasons.set(element, new Set());
+        renderReasons.get(element).add(name);
+    }
+}
+
+/**
+ * Re-renders every queued element, skipping detached elements and
+ * elements whose queued ancestor will rebuild them anyway
+ */
+function flushRenders() {
+    const elements = [...pendingRenders];
+    pendingRenders.clear();
+
+    for (const element of elements) {
+        if (!element.isConnected) {
+            untrackRender(element);
+            renderReasons.delete(element);
+            continue;
+        }
+        if (elements.some(other => other !== element && other.isConnected && other.contains(element))) {
+            renderReasons.delete(element);
+            continue;
+        }
+        try {
+            if (typeof element.render === 'function') element.render();
+            else if (element.hasAttribute('data-loop')) renderDataLoop(element);
+            syncModels(element); // Bound controls created or changed by the render
+        } catch (e) {
+            console.error('HTTL-S auto render error:', e);
+        }
+        renderReasons.delete(element);
+    }
+}
+
+// ============================================================================
+// RENDER LIFECYCLE - httl:beforerender / httl:afterrender events
+// Usage: list.addEventListener('httl:beforerender', e => paused && e.preventDefault())
+// ============================================================================
+
+/** @type {WeakMap<Element, Set<string>>} Variables whose changes queued each element's next render */
+const renderReasons = new WeakMap();
+
+/** @type {Set<Promise<void>>} Async renders (include-template) still running */
+const asyncRenders = new Set();
+
+/**
+ * Runs an element's render between httl:beforerender and httl:afterrender
+ * events. Both bubble out of shadow roots, so an ancestor also sees the events
+ * of nested elements (check event.target). Cancelling httl:beforerender skips
+ * the render. Virtual loops moving their window on scroll fire no events. The event detail holds the element kind and the watched
+ * variables that triggered the render (autoRender only); httl:afterrender
+ * adds whatever the render reports (row keys for loops, branches for conditions).
+ * @param {Element} element - Element being rendered
+ * @param {string} kind - 'for-loop', 'condition-block', 'state-element', 'data-loop' or 'include-template'
+ * @param {function(): (Object|Promise<Object>|void)} renderFn - Performs the render, returning its change details
+ * @returns {*} Return value of renderFn (undefined when cancelled)
+ */
+function renderWithEvents(element, kind, renderFn) {
+    // Moving a virtual window changes no data: no events on every scroll frame
+    if (windowRenders.has(element)) return renderFn();
+
+    const detail = { kind, changed: [...(renderReasons.get(element) || [])] };
+    renderReasons.delete(element);
+
+    const before = new CustomEvent('httl:beforerender', { bubbles: true, composed: true, cancelable: true, detail });
+    if (!element.dispatchEvent(before)) return undefined;
+
+    const after = changes => {
+        element.dispatchEvent(new CustomEvent('httl:afterrender', {
+            bubbles: true, composed: true, detail: { ...detail, ...changes }
+        }));
+        return changes;
+    };
+
+    const result = renderFn();
+    if (!result || typeof result.then !== 'function') return after(result);
+
+    // setState() waits for async renders, including ones started while it runs
+    const done = result.then(after);
+    const settled = done.then(() => { }, () => { });
+    asyncRenders.add(settled);
+    settled.then(() => asyncRenders.delete(settled));
+    return done;
+}
+
+/**
+ * Resolves once no async render is running
+ * @returns {Promise<void>}
+ */
+async function whenRendersSettle() {
+    while (asyncRenders.size) {
+        await Promise.all(asyncRenders);
+    }
+}
+
 /**
  * Creates a deep proxy that watches for nested property changes
  * @param {*} target - The object/array to watch
@@ -119,7 +475,7 @@ const watchedVars = new Set();
  * @returns {Proxy} Proxied version of the target
  */
 function createDeepProxy(target, callback) {
-    if (typeof target !== 'object' || target === null) {
+    if (typeof target !== 'object' || target === null || hasInternalSlots(target)) {
         return target;
     }
     if (typeof callback !== 'function') {
@@ -137,6 +493,12 @@ function createDeepProxy(target, callback) {
 
     const proxy = new Proxy(target, {
         get(obj, prop, receiver) {
+            trackDependency(callback.__watchedProp);
+            if (isCollection(obj)) {
+                // Collection methods need the real Map/Set as "this"
+                if (prop === 'size') return obj.size;
+                if (typeof obj[prop] === 'function') return collectionMethod(obj, prop, callback, proxy);
+            }
             const value = Reflect.get(obj, prop, receiver);
             // Recursively proxy nested objects/arrays (with caching)
             if (typeof value === 'object' && value !== null) {
@@ -146,31 +508,23 @@ function createDeepProxy(target, callback) {
         },
         set(obj, prop, value, receiver) {
             // Detect self-mutation: watcher trying to mutate its own state
-            if (activeWatcher === callback) {
-                throw new Error(
-                    `HTTL-S Error: Watcher for "${callback.__watchedProp}" mutated its own state.\n` +
-                    `This causes infinite loops. Move mutations outside the watcher callback.`
-                );
-            }
+            guardSelfMutation(callback);
 
             // Ignore array 'length' changes - they're noise from push/pop/etc
             if (Array.isArray(obj) && prop === 'length') {
                 return Reflect.set(obj, prop, value, receiver);
             }
             const result = Reflect.set(obj, prop, value, receiver);
+            notifyChange(callback.__watchedProp);
             scheduleCallback(callback); // Batched callback - fires ONCE per tick
             return result;
         },
         deleteProperty(obj, prop) {
             // Detect self-mutation on delete too
-            if (activeWatcher === callback) {
-                throw new Error(
-                    `HTTL-S Error: Watcher for "${callback.__watchedProp}" mutated its own state.\n` +
-                    `This causes infinite loops. Move mutations outside the watcher callback.`
-                );
-            }
+            guardSelfMutation(callback);
 
             const result = Reflect.deleteProperty(obj, prop);
+            notifyChange(callback.__watchedProp);
             scheduleCallback(callback); // Batched callback
             return result;
         }
@@ -182,9 +536,110 @@ function createDeepProxy(target, callback) {
         proxyCache.set(target, callbackMap);
     }
     callbackMap.set(callback, proxy);
+    proxyTargets.set(proxy, target);
     return proxy;
 }
 
+/**
+ * Throws when a watcher mutates the state it is watching (infinite loop)
+ * @param {Function} callback - Watcher callback of the mutated state
+ */
+function guardSelfMutation(callback) {
+    if (activeWatcher === callback) {
+        throw new Error(
+            `HTTL-S Error: Watcher for "${callback.__watchedProp}" mutated its own state.\n` +
+            `This causes infinite loops. Move mutations outside the watcher callback.`
+        );
+    }
+}
+
+/**
+ * Checks for collections whose methods only work on the real object
+ * @param {Object} obj - Object to check
+ * @returns {boolean} True for Map, Set, WeakMap and WeakSet
+ */
+function isCollection(obj) {
+    return obj instanceof Map || obj instanceof Set || obj instanceof WeakMap || obj instanceof WeakSet;
+}
+
+/**
+ * Checks for objects whose methods need the real object as "this" (Date, RegExp, typed arrays, DOM nodes...).
+ * They are handed out unproxied: in-place mutations such as date.setDate() don't notify watchers, reassign instead
+ * @param {Object} obj - Object to check
+ * @returns {boolean} True if the object must not be proxied
+ */
+function hasInternalSlots(obj) {
+    return obj instanceof Date || obj instanceof RegExp || obj instanceof Promise || obj instanceof Error ||
+        obj instanceof ArrayBuffer || ArrayBuffer.isView(obj) ||
+        (typeof WeakRef !== 'undefined' && obj instanceof WeakRef) ||
+        (typeof Node !== 'undefined' && obj instanceof Node);
+}
+
+/**
+ * Returns the object behind a deep proxy, so proxied values can be used as Map keys or Set members
+ * @param {*} value - Possibly proxied value
+ * @returns {*} The raw value
+ */
+function unwrapProxy(value) {
+    return (typeof value === 'object' && value !== null && proxyTargets.get(value)) || value;
+}
+
+/**
+ * Wraps a Map/Set method of a watched collection: mutators notify watchers
+ * when they change something, readers return deep-proxied values
+ * @param {Map|Set|WeakMap|WeakSet} obj - Raw collection
+ * @param {string|symbol} prop - Method name
+ * @param {Function} callback - Watcher callback
+ * @param {Proxy} proxy - Proxy of the collection
+ * @returns {Function} Method to hand out
+ */
+function collectionMethod(obj, prop, callback, proxy) {
+    const method = obj[prop];
+    const wrap = value => createDeepProxy(value, callback);
+    const isMap = obj instanceof Map || obj instanceof WeakMap;
+
+    switch (prop) {
+        case 'set':
+        case 'add':
+        case 'delete':
+        case 'clear':
+            return function (...args) {
+                guardSelfMutation(callback);
+                const [key, value] = args.map(unwrapProxy);
+                const had = prop !== 'clear' && obj.has(key);
+                const previous = prop === 'set' ? obj.get(key) : undefined;
+                const sizeBefore = obj.size;
+                const result = method.call(obj, ...args.map(unwrapProxy));
+                const changed = prop === 'set' ? !had || previous !== value
+                    : prop === 'add' ? !had
+                        : prop === 'delete' ? result
+                            : sizeBefore > 0;
+                if (changed) {
+                    notifyChange(callback.__watchedProp);
+                    scheduleCallback(callback);
+                }
+                return result === obj ? proxy : result; // Keep chaining on the proxy
+            };
+        case 'get':
+            return key => wrap(obj.get(unwrapProxy(key)));
+        case 'has':
+            return key => obj.has(unwrapProxy(key));
+        case 'forEach':
+            return (fn, thisArg) => obj.forEach((value, key) => fn.call(thisArg, wrap(value), isMap ? key : wrap(key), proxy));
+        case 'values':
+        case 'entries':
+        case Symbol.iterator: {
+            const pairs = prop === 'entries' || (prop === Symbol.iterator && isMap);
+            return function* () {
+                for (const item of method.call(obj)) {
+                    yield pairs ? [isMap ? item[0] : wrap(item[0]), wrap(item[1])] : wrap(item);
+                }
+            };
+        }
+    }
+    return method.bind(obj);
+}
+
 /**
  * Creates a watched global variable that triggers a callback on value changes
  * @param {string} propName - The name of the global variable to create
@@ -218,7 +673,10 @@ function watch(propName, cb, defaultValue = undefined) {
     }
 
     Object.defineProperty(window, propName, {
-        get() { return _value; },
+        get() {
+            trackDependency(propName);
+            return _value;
+        },
         set(value) {
             // Detect self-mutation on root assignment
             if (activeWatcher === trigger) {
@@ -234,6 +692,7 @@ function watch(propName, cb, defaultValue = undefined) {
             } else {
                 _value = value;
             }
+            notifyChange(propName);
             scheduleCallback(trigger); // Use scheduled trigger, not direct call
         },
         configurable: true,
@@ -242,37 +701,182 @@ function watch(propName, cb, defaultValue = undefined) {
 
     watchedVars.add(propName);
 }
+
+/**
+ * Creates a read-only global whose value is derived from watched variables.
+ * Dependencies are tracked automatically: the value is cached and only
+ * recomputed after one of the watched variables read by `fn` changes.
+ * @param {string} propName - The name of the global variable to create
+ * @param {function(): *} fn - Getter that derives the value
+ */
+function computed(propName, fn) {
+    if (typeof fn !== 'function') {
+        throw new TypeError(
+            `HTTL-S computed(): Second parameter must be a function, got ${typeof fn}. ` +
+            `Use like "computed('total', () => cart.reduce((s, i) => s + i.price, 0))"`
+        );
+    }
+
+    if (propName in window) {
+        console.warn(`HTTL-S: "${propName}" already exists on window`);
+    }
+
+    /** @type {ComputedEntry} */
+    const entry = { fn, deps: new Set(), dirty: true, computing: false, value: undefined };
+    computedVars.set(propName, entry);
+
+    Object.defineProperty(window, propName, {
+        get() {
+            if (entry.dirty) {
+                if (entry.computing) {
+                    throw new Error(`HTTL-S Error: Computed "${propName}" depends on itself.`);
+                }
+                entry.computing = true;
+                try {
+                    const { value, deps } = collectDependencies(fn);
+                    entry.value = value;
+                    entry.deps = deps;
+                    entry.dirty = false;
+                } finally {
+                    entry.computing = false;
+                }
+            }
+            trackDependency(propName);
+            return entry.value;
+        },
+        set() {
+            throw new Error(
+                `HTTL-S Error: "${propName}" is a computed value and cannot be assigned.\n` +
+                `Change the watched variables it is derived from instead.`
+            );
+        },
+        configurable: true,
+        enumerable: true
+    });
+
+    // Expose to templates and unsafeEval exactly like watched variables
+    watchedVars.add(propName);
+}
 // ============================================================================
 // EXPRESSION EVALUATION HELPERS
 // ============================================================================
 
+/** Maximum number of compiled expressions kept by each cache */
+const EXPRESSION_CACHE_LIMIT = 5000;
+
+/** @type {Map<string, {fn: Function, scope: Proxy}>} Compiled expressions by parameter list and source */
+const compiledExpressions = new Map();
+
+/**
+ * Adds an entry to a bounded cache, evicting the oldest entry when full
+ * @param {Map} cache - Cache to add to
+ * @param {string} key - Cache key
+ * @param {*} value - Value to store
+ * @returns {*} The stored value
+ */
+function rememberCompiled(cache, key, value) {
+    if (cache.size >= EXPRESSION_CACHE_LIMIT) cache.delete(cache.keys().next().value);
+    cache.set(key, value);
+    return value;
+}
+
+/**
+ * Compiles an expression once per parameter list. Watched globals are read
+ * through a scope object with `with`, so they stay live (and tracked) without
+ * being copied into positional parameters on every call.
+ * @param {string} expression - Expression source
+ * @param {string[]} params - Names of the context variables
+ * @param {boolean} [statements=false] - Compile statements (data-on handlers) instead of an expression
+ * @returns {{fn: Function, scope: Proxy}} Compiled function and the scope to call it with
+ */
+function compileExpression(expression, params, statements = false) {
+    const key = (statements ? ';' : '') + params.join(',') + '\n' + expression;
+    const cached = compiledExpressions.get(key);
+    if (cached) return cached;
+
+    const locals = new Set(params);
+    const scope = new Proxy({}, {
+        // Context variables are parameters and must win over watched globals
+        has: (target, name) => typeof name === 'string' && !locals.has(name) && watchedVars.has(name) && name in window,
+        get: (target, name) => typeof name === 'string' ? window[name] : undefined,
+        set: (target, name, value) => { window[name] = value; return true; }
+    });
+    const body = statements ? expression : `return (${expression});`;
+    const fn = new Function('__scope', ...params, `with (__scope) { ${body}\n}`);
+    return rememberCompiled(compiledExpressions, key, { fn, scope });
+}
+
+/**
+ * Evaluates an expression with the configured evaluator
+ * @param {string} expression - Expression to evaluate
+ * @param {Object} context - Context variables
+ * @returns {*} Result of evaluation
+ */
+function evaluateExpression(expression, context) {
+    if (httlConfig.evaluator === 'csp') return cspEval(expression, context);
+    const keys = Object.keys(context);
+    const { fn, scope } = compileExpression(expression, keys);
+    return fn(scope, ...keys.map(key => context[key]));
+}
+
+/**
+ * Evaluates a JavaScript expression, applying any "| filter" pipes.
+ * Errors are thrown to the caller.
+ * @param {string} expression - Expression to evaluate
+ * @param {Object} [context={}] - Optional context variables
+ * @returns {*} Result of evaluation
+ */
+function evaluatePipeline(expression, context = {}) {
+    if (!expression) return '';
+    const pipeline = parsePipeline(expression);
+    let value = evaluateExpression(pipeline.expression, context);
+    for (const { name, args } of pipeline.filters) {
+        const values = args.trim() ? evaluateExpression(`[${args}]`, context) : [];
+        value = filters.get(name)(value, ...values);
+    }
+    return value;
+}
+
 /**
- * Safely evaluates a JavaScript expression
+ * Safely evaluates a JavaScript expression, applying any "| filter" pipes
  * @param {string} expression - Expression to evaluate
  * @param {Object} context - Optional context variables
  * @returns {*} Result of evaluation
  */
 function unsafeEval(expression, context = {}) {
     try {
-        if (!expression) return '';
-        // Create context variables in local scope
-        const keys = Object.keys(context);
-        const values = Object.values(context);
-        // Add all global watched vars to context
-        for (const varName of watchedVars) {
-            if (!(varName in context) && varName in window) {
-                keys.push(varName);
-                values.push(window[varName]);
-            }
-        }
-        const fn = new Function(...keys, `return (${expression})`);
-        return fn(...values);
+        return evaluatePipeline(expression, context);
     } catch (e) {
         console.error('unsafeEval error:', expression, e);
         return undefined;
     }
 }
 
+/** @type {Object<string, string>} Characters replaced by escapeHTML() */
+const HTML_ESCAPES = {
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+};
+
+/**
+ * Escapes a value for safe insertion into HTML text or attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+/**
+ * Converts an expression result to template output
+ * @param {*} result - Evaluated value
+ * @param {boolean} raw - True for the raw forms {{{ }}} and $!{ }
+ * @returns {string} Output text, escaped unless raw or escaping is turned off
+ */
+function formatOutput(result, raw) {
+    if (result === undefined || result === null) return '';
+    return raw || !httlConfig.escape ? String(result) : escapeHTML(result);
+}
+
 /**
  * Parses JavaScript expressions inside {{}} in a template string.
  * Content inside elements with the `no-parse` attribute is protected
@@ -281,10 +885,81 @@ function unsafeEval(expression, context = {}) {
  * Usage: <td no-parse>${item.desc}</td>
  *   If item.desc contains "{{expression}}", it will render as literal text.
  *
+ * Output is HTML-escaped; {{{expression}}} inserts it as raw HTML.
+ * Templates belonging to nested loops (<template loopid>, <template empty>, ...)
+ * are left for their own loop, which evaluates them with its row variables.
+ *
  * @param {string} template - Template string containing {{expression}} placeholders
+ * @param {Object} [context={}] - Variables in scope (e.g. loop variables)
  * @returns {string} Parsed template with expressions evaluated
  */
-function parseTemplate(template) {
+function parseTemplate(template, context = {}) {
+    return mapOutsideLoopTemplates(template, part => parseTemplatePart(part, context));
+}
+
+/** Opening tag of a loop's row template */
+const LOOP_ROW_TEMPLATE_TAG = /\sloopid\s*=/i;
+
+/** Opening tag of an empty/error state template, a loop's own only as a direct child of <for-loop> */
+const LOOP_STATE_TEMPLATE_TAG = /\s(?:empty|error)(?=[\s=/>])/i;
+
+/** Only whitespace and comments between two tags */
+const ONLY_WHITESPACE_OR_COMMENTS = /^\s*(?:<!--[\s\S]*?-->\s*)*$/;
+
+/**
+ * Applies a replacement to template text outside nested loop templates
+ * (<template loopid>, and <template empty|error> directly inside a <for-loop>),
+ * whose contents belong to the inner loop
+ * @param {string} html - Template text
+ * @param {function(string): string} fn - Replacement for text outside loop templates
+ * @returns {string} Text with the replacement applied
+ */
+function mapOutsideLoopTemplates(html, fn) {
+    if (!/<template\b/i.test(html)) return fn(html);
+
+    const stack = []; // For each open <for-loop>: null, for each open <template>: whether it is a loop template
+    let result = '';
+    let last = 0;
+    let previousTagEnd = 0;
+    for (const match of html.matchAll(/<(\/?)(template|for-loop)\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi)) {
+        const inLoop = stack.includes(true);
+        const isTemplate = match[2].toLowerCase() === 'template';
+        const end = match.index + match[0].length;
+        if (!match[1]) {
+            if (isTemplate) {
+                // Sibling templates may come before it, other elements may not
+                const inForLoop = stack[stack.length - 1] === null &&
+                    ONLY_WHITESPACE_OR_COMMENTS.test(html.slice(previousTagEnd, match.index));
+                const isLoop = LOOP_ROW_TEMPLATE_TAG.test(match[0]) || (inForLoop && LOOP_STATE_TEMPLATE_TAG.test(match[0]));
+                if (isLoop && !inLoop) {
+                    // The opening tag belongs to this level (e.g. loopid="inner_${outer.id}"); only its content is skipped
+                    result += fn(html.slice(last, end));
+                    last = end;
+                }
+                stack.push(isLoop);
+            } else {
+                stack.push(null);
+            }
+        } else if (stack.length) {
+            stack.pop();
+            if (isTemplate && inLoop && !stack.includes(true)) {
+                result += html.slice(last, end);
+                last = end;
+            }
+        }
+        previousTagEnd = end;
+    }
+    const rest = html.slice(last);
+    return result + (stack.includes(true) ? rest : fn(rest));
+}
+
+/**
+ * Evaluates the {{}} placeholders of template text outside loop templates
+ * @param {string} template - Template text
+ * @param {Object} context - Variables in scope
+ * @returns {string} Parsed text
+ */
+function parseTemplatePart(template, context) {
     // ── Protect no-parse regions ─────────────────────────────
     const OPEN_SENTINEL = '\x00NP_O\x00';
     const CLOSE_SENTINEL = '\x00NP_C\x00';
@@ -299,14 +974,11 @@ function parseTemplate(template) {
             + escaped + closeTag;
     });
 
-    // ── Evaluate {{expression}} placeholders ─────────────────
-    safe = safe.replace(/\{\{([\s\S]*?)\}\}/g, function (match, expression) {
+    // ── Evaluate {{{raw}}} and {{expression}} placeholders ───
+    safe = safe.replace(/\{\{\{([\s\S]*?)\}\}\}|\{\{([\s\S]*?)\}\}/g, function (match, rawExpression, expression) {
         try {
-            const result = unsafeEval(expression.trim());
-            if (result !== undefined && result !== null) {
-                return String(result);
-            }
-            return '';
+            const raw = rawExpression !== undefined;
+            return formatOutput(unsafeEval((raw ? rawExpression : expression).trim(), context), raw);
         } catch (error) {
             console.error('Template parse error:', expression, error);
             return match;
@@ -337,279 +1009,3079 @@ function createRangeArray(start, end, step = 1) {
 }
 
 // ============================================================================
-// FOR-LOOP CUSTOM ELEMENT
+// CSP-SAFE EVALUATOR
+// Parses and interprets the JavaScript subset used in templates without
+// new Function(), for pages whose Content-Security-Policy forbids
+// 'unsafe-eval'. Enable with configure({ evaluator: 'csp' }).
 // ============================================================================
 
+/** @type {string[]} Punctuators, longest first so the tokenizer matches greedily */
+const CSP_PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=',
+    '&=', '|=', '^=', '**', '<<', '>>',
+    '+', '-', '*', '/', '%', '=', '<', '>', '!', '&', '|', '^', '~', '?', ':', '.', ',', ';',
+    '(', ')', '[', ']', '{', '}'
+];
+
+/** @type {Object<string, number>} Binary operator precedence (higher binds tighter) */
+const CSP_BINARY_PRECEDENCE = {
+    '??': 1, '||': 2, '&&': 3, '|': 4, '^': 5, '&': 6,
+    '==': 7, '!=': 7, '===': 7, '!==': 7,
+    '<': 8, '>': 8, '<=': 8, '>=': 8, 'instanceof': 8, 'in': 8,
+    '<<': 9, '>>': 9, '>>>': 9,
+    '+': 10, '-': 10,
+    '*': 11, '/': 11, '%': 11,
+    '**': 12
+};
+
+/** @type {Set<string>} Assignment operators */
+const CSP_ASSIGN_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=']);
+
+/** @type {Set<string>} Property names that could reach the Function constructor or prototypes */
+const CSP_BLOCKED_PROPERTIES = new Set([
+    '__proto__', 'constructor', '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+]);
+
+/** @type {Map<string, Object>} Parsed programs by source */
+const cspAstCache = new Map();
+
+/** Marks a short-circuited optional chain (a?.b.c with a == null) */
+const CSP_SHORT_CIRCUIT = Symbol('short-circuit');
+
 /**
- * Custom element for rendering loops in HTML
- * @extends HTMLElement
+ * Decodes the escape sequences of a string or template literal
+ * @param {string} raw - Literal text without quotes
+ * @returns {string} Decoded text
  */
-class CustomForLoop extends HTMLElement {
-    constructor() {
-        super();
-        this._originalTemplate = null;
-    }
-
-    connectedCallback() {
-        this.style.display = 'contents';
-        this._storeTemplate();
-        this.render();
+function decodeEscapes(raw) {
+    return raw.replace(/\\(u\{([0-9a-fA-F]+)\}|u([0-9a-fA-F]{4})|x([0-9a-fA-F]{2})|\r\n|[\s\S])/g,
+        (match, seq, codePoint, unicode, hex) => {
+            if (codePoint) return String.fromCodePoint(parseInt(codePoint, 16));
+            if (unicode) return String.fromCharCode(parseInt(unicode, 16));
+            if (hex) return String.fromCharCode(parseInt(hex, 16));
+            switch (seq) {
+                case 'n': return '\n';
+                case 'r': return '\r';
+                case 't': return '\t';
+                case 'b': return '\b';
+                case 'f': return '\f';
+                case 'v': return '\v';
+                case '0': return '\0';
+                case '\n': case '\r\n': return ''; // Line continuation
+                default: return seq;
+            }
+        });
+}
+
+/**
+ * Finds the end of a ${ } placeholder inside a template literal
+ * @param {string} src - Source text
+ * @param {number} start - Index just after "${"
+ * @returns {number} Index of the closing "}"
+ */
+function findPlaceholderEnd(src, start) {
+    let depth = 0;
+    for (let i = start; i < src.length; i++) {
+        const ch = src[i];
+        if (ch === '"' || ch === "'") {
+            for (i++; i < src.length && src[i] !== ch; i++) if (src[i] === '\\') i++;
+        } else if (ch === '`') {
+            i = scanTemplateLiteral(src, i).end - 1;
+        } else if (ch === '{') {
+            depth++;
+        } else if (ch === '}') {
+            if (depth === 0) return i;
+            depth--;
+        }
     }
+    throw new SyntaxError('HTTL-S expression: Unterminated template literal placeholder');
+}
 
-    _storeTemplate() {
-        if (this._originalTemplate) return;
-        const loopId = this.getAttribute('loopid');
-        const template = this.querySelector(`template[loopid="${loopId}"]`);
-        if (template) {
-            this._originalTemplate = template.innerHTML;
+/**
+ * Scans a template literal starting at a backtick
+ * @param {string} src - Source text
+ * @param {number} start - Index of the opening backtick
+ * @returns {{quasis: string[], expressions: string[], end: number}} Parts and index after the closing backtick
+ */
+function scanTemplateLiteral(src, start) {
+    const quasis = [];
+    const expressions = [];
+    let text = '';
+    for (let i = start + 1; i < src.length; i++) {
+        const ch = src[i];
+        if (ch === '\\') {
+            text += ch + src[++i];
+        } else if (ch === '`') {
+            quasis.push(decodeEscapes(text));
+            return { quasis, expressions, end: i + 1 };
+        } else if (ch === '$' && src[i + 1] === '{') {
+            quasis.push(decodeEscapes(text));
+            text = '';
+            const close = findPlaceholderEnd(src, i + 2);
+            expressions.push(src.slice(i + 2, close));
+            i = close;
+        } else {
+            text += ch;
         }
     }
+    throw new SyntaxError('HTTL-S expression: Unterminated template literal');
+}
 
-    render() {
-        try {
-            const loopId = this.getAttribute('loopid');
-            if (!loopId) throw new Error('for-loop requires "loopid" attribute');
+/**
+ * Splits expression source into tokens
+ * @param {string} src - Expression source
+ * @returns {Array<{type: string, value: *}>} Tokens
+ */
+function tokenizeExpression(src) {
+    const tokens = [];
+    let i = 0;
+
+    // A "/" starts a regex literal unless it follows something that ends an operand
+    const regexAllowed = () => {
+        const prev = tokens[tokens.length - 1];
+        if (!prev) return true;
+        if (prev.type === 'num' || prev.type === 'str' || prev.type === 'template' || prev.type === 'regex') return false;
+        if (prev.type === 'ident') return ['typeof', 'instanceof', 'in', 'return', 'void', 'delete', 'new'].includes(prev.value);
+        return ![')', ']', '}', '++', '--'].includes(prev.value);
+    };
+
+    while (i < src.length) {
+        const ch = src[i];
+
+        if (/\s/.test(ch)) { i++; continue; }
+
+        // Numbers
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(src[i + 1] || ''))) {
+            const match = /^(0[xX][0-9a-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)/.exec(src.slice(i));
+            const text = match[0].replace(/_/g, '');
+            const value = /^0[bB]/.test(text) ? parseInt(text.slice(2), 2)
+                : /^0[oO]/.test(text) ? parseInt(text.slice(2), 8)
+                    : Number(text);
+            tokens.push({ type: 'num', value });
+            i += match[0].length;
+            continue;
+        }
 
-            // Get or restore template
-            this._storeTemplate();
-            if (!this._originalTemplate) {
-                this.innerHTML = '❌ for-loop: Missing template with matching loopid';
-                return;
+        // Identifiers and keywords
+        if (/[A-Za-z_$\u00A0-\uFFFF]/.test(ch)) {
+            const match = /^[A-Za-z_$\u00A0-\uFFFF][\w$\u00A0-\uFFFF]*/.exec(src.slice(i));
+            tokens.push({ type: 'ident', value: match[0] });
+            i += match[0].length;
+            continue;
+        }
+
+        // Strings
+        if (ch === '"' || ch === "'") {
+            let j = i + 1;
+            while (j < src.length && src[j] !== ch) {
+                if (src[j] === '\\') j++;
+                j++;
             }
+            if (j >= src.length) throw new SyntaxError(`HTTL-S expression: Unterminated string in "${src}"`);
+            tokens.push({ type: 'str', value: decodeEscapes(src.slice(i + 1, j)) });
+            i = j + 1;
+            continue;
+        }
 
-            // Evaluate array attribute
-            let array = [];
-            const arrayAttr = this.getAttribute('array');
-            if (arrayAttr) {
-                try { array = unsafeEval(arrayAttr) || []; } catch (e) { array = []; }
+        // Template literals
+        if (ch === '`') {
+            const { quasis, expressions, end } = scanTemplateLiteral(src, i);
+            tokens.push({ type: 'template', value: { quasis, expressions } });
+            i = end;
+            continue;
+        }
+
+        // Regex literals
+        if (ch === '/' && regexAllowed()) {
+            let j = i + 1;
+            let inClass = false;
+            while (j < src.length && (src[j] !== '/' || inClass)) {
+                if (src[j] === '\\') j++;
+                else if (src[j] === '[') inClass = true;
+                else if (src[j] === ']') inClass = false;
+                j++;
             }
+            if (j >= src.length) throw new SyntaxError(`HTTL-S expression: Unterminated regex in "${src}"`);
+            const flags = /^[a-z]*/.exec(src.slice(j + 1))[0];
+            tokens.push({ type: 'regex', value: { pattern: src.slice(i + 1, j), flags } });
+            i = j + 1 + flags.length;
+            continue;
+        }
 
-            const start = parseInt(this.getAttribute('start')) || 0;
-            const step = parseInt(this.getAttribute('step')) || 1;
-            let end = this.getAttribute('end');
+        // Punctuators ("?." followed by a digit is a ternary and a number)
+        const punc = CSP_PUNCTUATORS.find(p => src.startsWith(p, i) && !(p === '?.' && /[0-9]/.test(src[i + 2] || '')));
+        if (!punc) throw new SyntaxError(`HTTL-S expression: Unexpected character "${ch}" in "${src}"`);
+        tokens.push({ type: 'punc', value: punc });
+        i += punc.length;
+    }
 
-            if (end !== null) {
-                try { end = unsafeEval(end); } catch (e) { end = parseInt(end) || array.length; }
+    tokens.push({ type: 'eof', value: null });
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a small AST
+ */
+class ExpressionParser {
+    /**
+     * @param {string} src - Expression source
+     */
+    constructor(src) {
+        this.src = src;
+        this.tokens = tokenizeExpression(src);
+        this.pos = 0;
+    }
+
+    peek(offset = 0) { return this.tokens[this.pos + offset]; }
+
+    next() { return this.tokens[this.pos++]; }
+
+    is(value, offset = 0) {
+        const token = this.peek(offset);
+        return (token.type === 'punc' || token.type === 'ident') && token.value === value;
+    }
+
+    eat(value) {
+        if (this.is(value)) return this.next();
+        return null;
+    }
+
+    expect(value) {
+        if (this.is(value)) return this.next();
+        this.fail();
+    }
+
+    fail() {
+        const token = this.peek();
+        const shown = token.type === 'eof' ? 'end of expression' : `"${token.type === 'str' ? JSON.stringify(token.value) : token.value}"`;
+        throw new SyntaxError(`HTTL-S expression: Unexpected ${shown} in "${this.src}"`);
+    }
+
+    /** Statements separated by ";" (handlers and arrow function bodies) */
+    parseProgram() {
+        const body = this.parseStatements('eof');
+        if (this.peek().type !== 'eof') this.fail();
+        return { type: 'Program', body };
+    }
+
+    parseStatements(end) {
+        const body = [];
+        while (this.peek().type !== 'eof' && !this.is(end)) {
+            if (this.eat(';')) continue;
+            if (this.eat('return')) {
+                const argument = this.is(';') || this.is(end) || this.peek().type === 'eof' ? null : this.parseSequence();
+                body.push({ type: 'Return', argument });
             } else {
-                end = array.length;
+                body.push(this.parseSequence());
             }
+            if (!this.eat(';') && !this.is(end) && this.peek().type !== 'eof') this.fail();
+        }
+        return body;
+    }
 
-            const valueVar = this.getAttribute('valueVar') || 'value';
-            const indexVar = this.getAttribute('indexVar') || 'index';
+    parseSequence() {
+        const first = this.parseAssignment();
+        if (!this.is(',')) return first;
+        const expressions = [first];
+        while (this.eat(',')) expressions.push(this.parseAssignment());
+        return { type: 'Sequence', expressions };
+    }
 
-            // Create range if no array
-            if (array.length === 0 && end > start) {
-                array = createRangeArray(start, end - 1, step);
+    parseAssignment() {
+        if (this.isArrowAhead()) return this.parseArrow();
+
+        const left = this.parseConditional();
+        const token = this.peek();
+        if (token.type === 'punc' && CSP_ASSIGN_OPERATORS.has(token.value)) {
+            if (left.type !== 'Identifier' && left.type !== 'Member') {
+                throw new SyntaxError(`HTTL-S expression: Invalid assignment target in "${this.src}"`);
             }
+            this.next();
+            return { type: 'Assign', operator: token.value, target: left, value: this.parseAssignment() };
+        }
+        return left;
+    }
 
-            // Build output HTML
-            const pattern = /\$\{([\s\S]*?)\}/g;
-            let outputHtml = '';
-
-            for (let i = start; i < Math.min(end, array.length); i += step) {
-                const loopValue = array[i];
-                const loopIndex = i;
-
-                // Replace variable references in template
-                let iterHtml = this._originalTemplate
-                    .replace(new RegExp(`\\b${valueVar}\\b`, 'g'), '__loopValue__')
-                    .replace(new RegExp(`\\b${indexVar}\\b`, 'g'), '__loopIndex__');
-
-                // Evaluate ${} expressions
-                iterHtml = iterHtml.replace(pattern, (match, expr) => {
-                    try {
-                        // Replace placeholders for eval
-                        const evalExpr = expr
-                            .replace(/__loopValue__/g, 'loopValue')
-                            .replace(/__loopIndex__/g, 'loopIndex');
-                        const result = unsafeEval(evalExpr, { loopValue, loopIndex });
-                        return result !== undefined && result !== null ? String(result) : '';
-                    } catch (e) {
-                        console.error('Loop expression error:', expr, e);
-                        return match;
-                    }
-                });
+    isArrowAhead() {
+        if (this.peek().type === 'ident' && this.is('=>', 1)) return true;
+        if (!this.is('(')) return false;
+        // Find the matching ")" and check for "=>" after it
+        let depth = 0;
+        for (let i = this.pos; i < this.tokens.length; i++) {
+            const token = this.tokens[i];
+            if (token.type !== 'punc') continue;
+            if (token.value === '(') depth++;
+            else if (token.value === ')' && --depth === 0) {
+                const after = this.tokens[i + 1];
+                return after.type === 'punc' && after.value === '=>';
+            }
+        }
+        return false;
+    }
 
-                outputHtml += iterHtml;
+    parseArrow() {
+        const params = [];
+        if (this.peek().type === 'ident') {
+            params.push({ name: this.next().value });
+        } else {
+            this.expect('(');
+            while (!this.is(')')) {
+                const rest = Boolean(this.eat('...'));
+                const token = this.next();
+                if (token.type !== 'ident') { this.pos--; this.fail(); }
+                const param = { name: token.value, rest };
+                if (this.eat('=')) param.defaultValue = this.parseAssignment();
+                params.push(param);
+                if (!this.eat(',')) break;
             }
+            this.expect(')');
+        }
+        this.expect('=>');
 
-            // Preserve template and update content
-            const templateCopy = `<template loopid="${loopId}">${this._originalTemplate}</template>`;
-            this.innerHTML = parseTemplate(outputHtml) + templateCopy;
-            this.querySelectorAll('condition-block').forEach(el => el.render());
+        if (this.eat('{')) {
+            const body = this.parseStatements('}');
+            this.expect('}');
+            return { type: 'Arrow', params, body: { type: 'Program', body }, block: true };
+        }
+        return { type: 'Arrow', params, body: this.parseAssignment(), block: false };
+    }
 
+    parseConditional() {
+        const test = this.parseBinary(0);
+        if (!this.eat('?')) return test;
+        const consequent = this.parseAssignment();
+        this.expect(':');
+        const alternate = this.parseAssignment();
+        return { type: 'Conditional', test, consequent, alternate };
+    }
 
-        } catch (error) {
-            console.error('for-loop error:', error);
-            this.innerHTML = `❌ for-loop Error: ${error.message}`;
+    parseBinary(minPrecedence) {
+        let left = this.parseUnary();
+        for (; ;) {
+            const token = this.peek();
+            const operator = token.value;
+            const precedence = (token.type === 'punc' || token.type === 'ident') ? CSP_BINARY_PRECEDENCE[operator] : undefined;
+            if (precedence === undefined || precedence <= minPrecedence) return left;
+            this.next();
+            // "**" is right-associative
+            const right = this.parseBinary(operator === '**' ? precedence - 1 : precedence);
+            const type = operator === '&&' || operator === '||' || operator === '??' ? 'Logical' : 'Binary';
+            left = { type, operator, left, right };
         }
     }
 
-    rerender() { this.render(); }
+    parseUnary() {
+        const token = this.peek();
+        if (token.type === 'punc' && ['!', '-', '+', '~'].includes(token.value) ||
+            token.type === 'ident' && ['typeof', 'void', 'delete'].includes(token.value)) {
+            this.next();
+            return { type: 'Unary', operator: token.value, argument: this.parseUnary() };
+        }
+        if (token.type === 'punc' && (token.value === '++' || token.value === '--')) {
+            this.next();
+            return { type: 'Update', operator: token.value, prefix: true, argument: this.parseUnary() };
+        }
+        const expression = this.parsePostfix();
+        const after = this.peek();
+        if (after.type === 'punc' && (after.value === '++' || after.value === '--')) {
+            this.next();
+            return { type: 'Update', operator: after.value, prefix: false, argument: expression };
+        }
+        return expression;
+    }
+
+    parsePostfix() {
+        let node;
+        if (this.is('new')) {
+            this.next();
+            let callee = this.parsePrimary();
+            while (this.is('.') || this.is('[')) {
+                callee = this.parseMemberAccess(callee, false);
+            }
+            const args = this.is('(') ? this.parseArguments() : [];
+            node = { type: 'New', callee, args };
+        } else {
+            node = this.parsePrimary();
+        }
+
+        let optionalChain = false;
+        for (; ;) {
+            if (this.eat('?.')) {
+                optionalChain = true;
+                if (this.is('(')) node = { type: 'Call', callee: node, args: this.parseArguments(), optional: true };
+                else if (this.eat('[')) node = this.finishComputedMember(node, true);
+                else node = this.finishDotMember(node, true);
+            } else if (this.is('.') || this.is('[')) {
+                node = this.parseMemberAccess(node, false);
+            } else if (this.is('(')) {
+                node = { type: 'Call', callee: node, args: this.parseArguments(), optional: false };
+            } else if (this.peek().type === 'template') {
+                this.fail(); // Tagged templates are not supported
+            } else {
+                break;
+            }
+        }
+        return optionalChain ? { type: 'Chain', expression: node } : node;
+    }
+
+    parseMemberAccess(object, optional) {
+        if (this.eat('[')) return this.finishComputedMember(object, optional);
+        this.expect('.');
+        return this.finishDotMember(object, optional);
+    }
+
+    finishDotMember(object, optional) {
+        const token = this.next();
+        if (token.type !== 'ident') { this.pos--; this.fail(); }
+        return { type: 'Member', object, property: { type: 'Literal', value: token.value }, optional };
+    }
+
+    finishComputedMember(object, optional) {
+        const property = this.parseSequence();
+        this.expect(']');
+        return { type: 'Member', object, property, optional };
+    }
+
+    parseArguments() {
+        this.expect('(');
+        const args = [];
+        while (!this.is(')')) {
+            if (this.eat('...')) args.push({ type: 'Spread', argument: this.parseAssignment() });
+            else args.push(this.parseAssignment());
+            if (!this.eat(',')) break;
+        }
+        this.expect(')');
+        return args;
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        switch (token.type) {
+            case 'num':
+            case 'str':
+                return { type: 'Literal', value: token.value };
+            case 'regex':
+                return { type: 'Regex', pattern: token.value.pattern, flags: token.value.flags };
+            case 'template':
+                return {
+                    type: 'Template',
+                    quasis: token.value.quasis,
+                    expressions: token.value.expressions.map(src => new ExpressionParser(src).parseExpressionOnly())
+                };
+            case 'ident':
+                switch (token.value) {
+                    case 'true': return { type: 'Literal', value: true };
+                    case 'false': return { type: 'Literal', value: false };
+                    case 'null': return { type: 'Literal', value: null };
+                    case 'this': return { type: 'This' };
+                    default: return { type: 'Identifier', name: token.value };
+                }
+            case 'punc':
+                if (token.value === '(') {
+                    const expression = this.parseSequence();
+                    this.expect(')');
+                    return expression;
+                }
+                if (token.value === '[') return this.parseArrayLiteral();
+                if (token.value === '{') return this.parseObjectLiteral();
+        }
+        this.pos--;
+        this.fail();
+    }
+
+    parseArrayLiteral() {
+        const elements = [];
+        while (!this.is(']')) {
+            if (this.is(',')) { this.next(); elements.push(null); continue; } // Hole
+            if (this.eat('...')) elements.push({ type: 'Spread', argument: this.parseAssignment() });
+            else elements.push(this.parseAssignment());
+            if (!this.eat(',')) break;
+        }
+        this.expect(']');
+        return { type: 'Array', elements };
+    }
+
+    parseObjectLiteral() {
+        const properties = [];
+        while (!this.is('}')) {
+            if (this.eat('...')) {
+                properties.push({ spread: true, value: this.parseAssignment() });
+            } else {
+                const token = this.next();
+                let key;
+                let computed = false;
+                if (token.type === 'ident' || token.type === 'str') key = { type: 'Literal', value: token.value };
+                else if (token.type === 'num') key = { type: 'Literal', value: String(token.value) };
+                else if (token.type === 'punc' && token.value === '[') {
+                    key = this.parseAssignment();
+                    computed = true;
+                    this.expect(']');
+                } else { this.pos--; this.fail(); }
+
+                if (this.eat(':')) {
+                    properties.push({ key, value: this.parseAssignment() });
+                } else if (token.type === 'ident' && !computed) {
+                    properties.push({ key, value: { type: 'Identifier', name: token.value } }); // Shorthand
+                } else {
+                    this.fail();
+                }
+            }
+            if (!this.eat(',')) break;
+        }
+        this.expect('}');
+        return { type: 'Object', properties };
+    }
+
+    /** A single expression covering the whole source */
+    parseExpressionOnly() {
+        const expression = this.parseSequence();
+        if (this.peek().type !== 'eof') this.fail();
+        return expression;
+    }
+}
+
+/**
+ * Lexical scope for the interpreter: local names first, then window globals
+ */
+class ExpressionScope {
+    /**
+     * @param {Object} vars - Variables declared in this scope
+     * @param {ExpressionScope|null} parent - Enclosing scope
+     * @param {*} thisValue - Value of "this"
+     */
+    constructor(vars, parent = null, thisValue = undefined) {
+        this.vars = vars;
+        this.parent = parent;
+        this.thisValue = parent && thisValue === undefined ? parent.thisValue : thisValue;
+    }
+
+    find(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (Object.prototype.hasOwnProperty.call(scope.vars, name)) return scope;
+        }
+        return null;
+    }
+
+    has(name) {
+        return Boolean(this.find(name)) || name in window;
+    }
+
+    get(name) {
+        const scope = this.find(name);
+        if (scope) return scope.vars[name];
+        if (name in window) return window[name];
+        throw new ReferenceError(`${name} is not defined`);
+    }
+
+    set(name, value) {
+        const scope = this.find(name);
+        if (scope) scope.vars[name] = value;
+        else window[name] = value; // Goes through watch() setters
+        return value;
+    }
+}
+
+/**
+ * Checks that a property may be read or written by template code
+ * @param {*} key - Property key
+ * @returns {string|symbol} The key
+ */
+function checkPropertyKey(key) {
+    if (typeof key === 'string' && CSP_BLOCKED_PROPERTIES.has(key)) {
+        throw new Error(`HTTL-S expression: Access to "${key}" is not allowed`);
+    }
+    return typeof key === 'symbol' ? key : String(key);
+}
+
+/**
+ * Applies a binary operator
+ * @param {string} operator - Operator
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @returns {*} Result
+ */
+function applyBinary(operator, left, right) {
+    switch (operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        case '**': return left ** right;
+        case '==': return left == right;
+        case '!=': return left != right;
+        case '===': return left === right;
+        case '!==': return left !== right;
+        case '<': return left < right;
+        case '>': return left > right;
+        case '<=': return left <= right;
+        case '>=': return left >= right;
+        case '&': return left & right;
+        case '|': return left | right;
+        case '^': return left ^ right;
+        case '<<': return left << right;
+        case '>>': return left >> right;
+        case '>>>': return left >>> right;
+        case 'in': return checkPropertyKey(left) in right;
+        case 'instanceof': return left instanceof right;
+    }
+    throw new SyntaxError(`HTTL-S expression: Unknown operator "${operator}"`);
+}
+
+/**
+ * Evaluates an AST node
+ * @param {Object} node - AST node
+ * @param {ExpressionScope} scope - Current scope
+ * @returns {*} Value
+ */
+function evaluateNode(node, scope) {
+    switch (node.type) {
+        case 'Literal':
+            return node.value;
+
+        case 'Regex':
+            return new RegExp(node.pattern, node.flags);
+
+        case 'Template': {
+            let out = node.quasis[0];
+            node.expressions.forEach((expression, i) => {
+                out += String(evaluateNode(expression, scope)) + node.quasis[i + 1];
+            });
+            return out;
+        }
+
+        case 'Identifier':
+            if (node.name === 'undefined' && !scope.find('undefined')) return undefined;
+            return scope.get(node.name);
+
+        case 'This':
+            return scope.thisValue;
+
+        case 'Array': {
+            const out = [];
+            for (const element of node.elements) {
+                if (element === null) out.length++;
+                else if (element.type === 'Spread') out.push(...evaluateNode(element.argument, scope));
+                else out.push(evaluateNode(element, scope));
+            }
+            return out;
+        }
+
+        case 'Object': {
+            const out = {};
+            for (const property of node.properties) {
+                if (property.spread) Object.assign(out, evaluateNode(property.value, scope));
+                else out[checkPropertyKey(evaluateNode(property.key, scope))] = evaluateNode(property.value, scope);
+            }
+            return out;
+        }
+
+        case 'Chain': {
+            const value = evaluateNode(node.expression, scope);
+            return value === CSP_SHORT_CIRCUIT ? undefined : value;
+        }
+
+        case 'Member': {
+            const object = evaluateNode(node.object, scope);
+            if (object === CSP_SHORT_CIRCUIT) return object;
+            if (node.optional && (object === null || object === undefined)) return CSP_SHORT_CIRCUIT;
+            const key = checkPropertyKey(evaluateNode(node.property, scope));
+            if (object === null || object === undefined) {
+                throw new TypeError(`Cannot read properties of ${object} (reading '${String(key)}')`);
+            }
+            return object[key];
+        }
+
+        case 'Call': {
+            let thisArg;
+            let fn;
+            if (node.callee.type === 'Member') {
+                thisArg = evaluateNode(node.callee.object, scope);
+                if (thisArg === CSP_SHORT_CIRCUIT) return thisArg;
+                if (node.callee.optional && (thisArg === null || thisArg === undefined)) return CSP_SHORT_CIRCUIT;
+                const key = checkPropertyKey(evaluateNode(node.callee.property, scope));
+                if (thisArg === null || thisArg === undefined) {
+                    throw new TypeError(`Cannot read properties of ${thisArg} (reading '${String(key)}')`);
+                }
+                fn = thisArg[key];
+            } else {
+                fn = evaluateNode(node.callee, scope);
+                if (fn === CSP_SHORT_CIRCUIT) return fn;
+            }
+            if (node.optional && (fn === null || fn === undefined)) return CSP_SHORT_CIRCUIT;
+            if (typeof fn !== 'function') throw new TypeError('HTTL-S expression: Value is not a function');
+            if (fn === Function || fn === window.eval) throw new Error('HTTL-S expression: Calling Function/eval is not allowed');
+            return fn.apply(thisArg, evaluateArguments(node.args, scope));
+        }
+
+        case 'New': {
+            const Ctor = evaluateNode(node.callee, scope);
+            if (Ctor === Function) throw new Error('HTTL-S expression: Calling Function/eval is not allowed');
+            return new Ctor(...evaluateArguments(node.args, scope));
+        }
+
+        case 'Unary': {
+            if (node.operator === 'typeof' && node.argument.type === 'Identifier' && !scope.has(node.argument.name)) {
+                return 'undefined';
+            }
+            if (node.operator === 'delete') {
+                if (node.argument.type !== 'Member') return true;
+                const object = evaluateNode(node.argument.object, scope);
+                return delete object[checkPropertyKey(evaluateNode(node.argument.property, scope))];
+            }
+            const value = evaluateNode(node.argument, scope);
+            switch (node.operator) {
+                case '!': return !value;
+                case '-': return -value;
+                case '+': return +value;
+                case '~': return ~value;
+                case 'typeof': return typeof value;
+                case 'void': return undefined;
+            }
+            break;
+        }
+
+        case 'Binary':
+            return applyBinary(node.operator, evaluateNode(node.left, scope), evaluateNode(node.right, scope));
+
+        case 'Logical': {
+            const left = evaluateNode(node.left, scope);
+            if (node.operator === '&&') return left ? evaluateNode(node.right, scope) : left;
+            if (node.operator === '||') return left ? left : evaluateNode(node.right, scope);
+            return left !== null && left !== undefined ? left : evaluateNode(node.right, scope);
+        }
+
+        case 'Conditional':
+            return evaluateNode(node.test, scope)
+                ? evaluateNode(node.consequent, scope)
+                : evaluateNode(node.alternate, scope);
+
+        case 'Sequence': {
+            let value;
+            for (const expression of node.expressions) value = evaluateNode(expression, scope);
+            return value;
+        }
+
+        case 'Assign':
+            return assignTarget(node.target, scope, current => {
+                if (node.operator === '=') return evaluateNode(node.value, scope);
+                if (node.operator === '&&=') return current ? evaluateNode(node.value, scope) : current;
+                if (node.operator === '||=') return current ? current : evaluateNode(node.value, scope);
+                if (node.operator === '??=') return current !== null && current !== undefined ? current : evaluateNode(node.value, scope);
+                return applyBinary(node.operator.slice(0, -1), current, evaluateNode(node.value, scope));
+            });
+
+        case 'Update': {
+            let previous;
+            const updated = assignTarget(node.argument, scope, current => {
+                previous = Number(current);
+                return node.operator === '++' ? previous + 1 : previous - 1;
+            });
+            return node.prefix ? updated : previous;
+        }
+
+        case 'Arrow':
+            return createArrowFunction(node, scope);
+
+        case 'Program':
+            return runStatements(node.body, scope).value;
+    }
+    throw new SyntaxError(`HTTL-S expression: Unsupported syntax "${node.type}"`);
+}
+
+/**
+ * Evaluates call arguments, expanding spreads
+ * @param {Object[]} args - Argument nodes
+ * @param {ExpressionScope} scope - Current scope
+ * @returns {Array} Argument values
+ */
+function evaluateArguments(args, scope) {
+    const out = [];
+    for (const arg of args) {
+        if (arg.type === 'Spread') out.push(...evaluateNode(arg.argument, scope));
+        else out.push(evaluateNode(arg, scope));
+    }
+    return out;
+}
+
+/**
+ * Reads, computes and writes an assignment target
+ * @param {Object} target - Identifier or Member node
+ * @param {ExpressionScope} scope - Current scope
+ * @param {function(*): *} compute - Computes the new value from the current one
+ * @returns {*} The assigned value
+ */
+function assignTarget(target, scope, compute) {
+    if (target.type === 'Identifier') {
+        const current = scope.has(target.name) ? scope.get(target.name) : undefined;
+        return scope.set(target.name, compute(current));
+    }
+    if (target.type === 'Member') {
+        const object = evaluateNode(target.object, scope);
+        const key = checkPropertyKey(evaluateNode(target.property, scope));
+        if (object === null || object === undefined) {
+            throw new TypeError(`Cannot set properties of ${object} (setting '${String(key)}')`);
+        }
+        const value = compute(object[key]);
+        object[key] = value; // Goes through the deep proxy for watched objects
+        return value;
+    }
+    throw new SyntaxError('HTTL-S expression: Invalid assignment target');
+}
+
+/**
+ * Runs statements until a return
+ * @param {Object[]} body - Statement nodes
+ * @param {ExpressionScope} scope - Current scope
+ * @returns {{value: *, returned: boolean}} Last value, and whether a return ran
+ */
+function runStatements(body, scope) {
+    let value;
+    for (const statement of body) {
+        if (statement.type === 'Return') {
+            return { value: statement.argument ? evaluateNode(statement.argument, scope) : undefined, returned: true };
+        }
+        value = evaluateNode(statement, scope);
+    }
+    return { value, returned: false };
+}
+
+/**
+ * Turns an arrow function node into a real function
+ * @param {Object} node - Arrow node
+ * @param {ExpressionScope} scope - Scope the arrow closes over
+ * @returns {Function} Callable function
+ */
+function createArrowFunction(node, scope) {
+    return (...args) => {
+        const vars = {};
+        node.params.forEach((param, i) => {
+            if (param.rest) vars[param.name] = args.slice(i);
+            else if (args[i] === undefined && param.defaultValue) vars[param.name] = evaluateNode(param.defaultValue, scope);
+            else vars[param.name] = args[i];
+        });
+        const local = new ExpressionScope(vars, scope);
+        if (!node.block) return evaluateNode(node.body, local);
+        const result = runStatements(node.body.body, local);
+        return result.returned ? result.value : undefined;
+    };
+}
+
+/**
+ * Parses source once and caches the AST
+ * @param {string} src - Expression or statements
+ * @returns {Object} Program AST
+ */
+function parseCspProgram(src) {
+    return cspAstCache.get(src) || rememberCompiled(cspAstCache, src, new ExpressionParser(src).parseProgram());
+}
+
+/**
+ * Evaluates an expression (or ";"-separated statements) without new Function()
+ * @param {string} src - Source to evaluate
+ * @param {Object} [context={}] - Local variables
+ * @param {*} [thisValue] - Value of "this"
+ * @returns {*} Value of the last statement
+ */
+function cspEval(src, context = {}, thisValue = undefined) {
+    return evaluateNode(parseCspProgram(src), new ExpressionScope({ ...context }, null, thisValue));
 }
 
 // ============================================================================
-// DATA-LOOP - For tables and special contexts
-// Uses data attributes instead of child template to work in restricted contexts
+// FILTERS - {{ price | currency('USD') }}, ${ item.date | date('short') }
+// A top-level "|" followed by a registered filter name pipes the value through
+// the filter; anything else is left to JavaScript (bitwise OR)
 // ============================================================================
 
+/** @type {Map<string, Function>} Filters by name */
+const filters = new Map();
+
+/** @type {Map<string, {expression: string, filters: Array<{name: string, args: string}>}>} Split expressions by source */
+const pipelineCache = new Map();
+
 /**
- * Renders a loop by targeting an external template
- * Usage: <div data-loop="myArray" data-template="#myTemplate" data-value="item" data-index="i"></div>
+ * Registers a filter usable as `value | name(arg1, arg2)` in templates
+ * @param {string} name - Filter name (a JavaScript identifier)
+ * @param {function(*, ...*): *} fn - Receives the piped value and the filter arguments
  */
-function renderDataLoops() {
-    document.querySelectorAll('[data-loop]').forEach(container => {
-        try {
-            const arrayName = container.dataset.loop;
-            const templateSelector = container.dataset.template;
-            const valueVar = container.dataset.value || 'value';
-            const indexVar = container.dataset.index || 'index';
+function registerFilter(name, fn) {
+    if (!/^[A-Za-z_$][\w$]*$/.test(name) || typeof fn !== 'function') {
+        console.error('registerFilter(): Expected an identifier name and a function:', name);
+        return;
+    }
+    filters.set(name, fn);
+    pipelineCache.clear(); // Expressions split before may now contain this filter
+}
 
-            if (!templateSelector) {
-                console.error('data-loop requires data-template attribute');
-                return;
+/**
+ * Finds the top-level "|" characters of an expression (not "||", "|=",
+ * or inside brackets, strings, template literals and regex literals)
+ * @param {string} src - Expression source
+ * @returns {number[]} Indexes of the pipe characters
+ */
+function findPipes(src) {
+    const pipes = [];
+    let depth = 0;
+    let prev = ''; // Last non-space character, to tell regex literals from division
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (ch === '"' || ch === "'" || ch === '`') {
+            for (i++; i < src.length && src[i] !== ch; i++) if (src[i] === '\\') i++;
+        } else if (ch === '/' && (prev === '' || '(,=:[!&|?{};+-*%<>~^'.includes(prev))) {
+            let inClass = false;
+            for (i++; i < src.length && (src[i] !== '/' || inClass); i++) {
+                if (src[i] === '\\') i++;
+                else if (src[i] === '[') inClass = true;
+                else if (src[i] === ']') inClass = false;
             }
+        } else if ('([{'.includes(ch)) {
+            depth++;
+        } else if (')]}'.includes(ch)) {
+            depth--;
+        } else if (ch === '|' && depth === 0) {
+            if (src[i + 1] === '|' || src[i + 1] === '=') i++;
+            else if (prev !== '|') pipes.push(i);
+        }
+        if (!/\s/.test(ch)) prev = src[i] || ch;
+    }
+    return pipes;
+}
 
-            const template = document.querySelector(templateSelector);
-            if (!template) {
-                console.error('Template not found:', templateSelector);
-                return;
-            }
+/**
+ * Splits "expr | filter(args) | other" into the expression and its filters.
+ * Returns no filters unless every piped segment names a registered filter.
+ * @param {string} expression - Expression source
+ * @returns {{expression: string, filters: Array<{name: string, args: string}>}} Split expression
+ */
+function parsePipeline(expression) {
+    const cached = pipelineCache.get(expression);
+    if (cached) return cached;
+
+    let result = { expression, filters: [] };
+    const pipes = findPipes(expression);
+    if (pipes.length) {
+        const bounds = [...pipes, expression.length];
+        const chain = [];
+        for (let i = 0; i < pipes.length; i++) {
+            const segment = expression.slice(bounds[i] + 1, bounds[i + 1]);
+            const match = /^\s*([A-Za-z_$][\w$]*)\s*(?:\(([\s\S]*)\))?\s*$/.exec(segment);
+            if (!match || !filters.has(match[1])) { chain.length = 0; break; }
+            chain.push({ name: match[1], args: match[2] || '' });
+        }
+        if (chain.length) result = { expression: expression.slice(0, pipes[0]), filters: chain };
+    }
+    return rememberCompiled(pipelineCache, expression, result);
+}
 
-            let array = [];
-            try { array = unsafeEval(arrayName) || []; } catch (e) { return; }
+/**
+ * Converts a filter input to a Date
+ * @param {*} value - Date, timestamp or date string
+ * @returns {Date|null} Date, or null when invalid
+ */
+function toDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/** Units for the relativeTime filter, largest first, in seconds */
+const RELATIVE_TIME_UNITS = [
+    ['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400],
+    ['hour', 3600], ['minute', 60], ['second', 1]
+];
+
+registerFilter('uppercase', value => value === null || value === undefined ? '' : String(value).toUpperCase());
+
+registerFilter('lowercase', value => value === null || value === undefined ? '' : String(value).toLowerCase());
+
+registerFilter('currency', (value, currency = 'USD', locale = i18n.locale) => {
+    if (value === null || value === undefined || value === '') return '';
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(Number(value));
+});
+
+registerFilter('number', (value, options, locale = i18n.locale) => {
+    if (value === null || value === undefined || value === '') return '';
+    // number(2) fixes the fraction digits; an object is passed to Intl.NumberFormat
+    const format = typeof options === 'number'
+        ? { minimumFractionDigits: options, maximumFractionDigits: options }
+        : options;
+    return new Intl.NumberFormat(locale, format).format(Number(value));
+});
+
+registerFilter('date', (value, style = 'medium', locale = i18n.locale) => {
+    const date = toDate(value);
+    if (!date) return '';
+    let options = style;
+    if (typeof style === 'string') {
+        options = style === 'time' ? { timeStyle: 'short' }
+            : style === 'datetime' ? { dateStyle: 'medium', timeStyle: 'short' }
+                : { dateStyle: style };
+    }
+    return new Intl.DateTimeFormat(locale, options).format(date);
+});
+
+registerFilter('relativeTime', (value, locale = i18n.locale) => {
+    const date = toDate(value);
+    if (!date) return '';
+    const seconds = (date.getTime() - Date.now()) / 1000;
+    const [unit, size] = RELATIVE_TIME_UNITS.find(([, size]) => Math.abs(seconds) >= size) || ['second', 1];
+    return new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+});
+
+registerFilter('truncate', (value, length = 50, suffix = '…') => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.length > length ? text.slice(0, Math.max(0, length - suffix.length)) + suffix : text;
+});
+
+registerFilter('json', (value, indent = 2) => JSON.stringify(value, null, indent));
+
+registerFilter('default', (value, fallback = '') =>
+    value === null || value === undefined || value === '' || Number.isNaN(value) ? fallback : value);
+
+registerFilter('pluralize', (count, forms, plural, locale = i18n.locale) => {
+    // pluralize('item') / pluralize('item', 'items') / pluralize({ one: '# item', other: '# items' })
+    const category = new Intl.PluralRules(locale).select(Number(count));
+    let word;
+    if (forms && typeof forms === 'object') {
+        word = forms[category] !== undefined ? forms[category] : forms.other;
+    } else {
+        word = category === 'one' ? forms : (plural !== undefined ? plural : forms + 's');
+    }
+    return String(word).replace(/#/g, new Intl.NumberFormat(locale).format(Number(count)));
+});
+
+// ============================================================================
+// INTERNATIONALIZATION - i18n.load(), i18n.setLocale(), {{ t('cart.items', { count }) }}
+// Messages use ICU MessageFormat: {name}, {n, number}, {d, date, short},
+// {count, plural, =0 {none} one {# item} other {# items}}, {g, select, ...}
+// ============================================================================
+
+/** @type {Map<string, Object>} Translation catalogs by locale */
+const translationCatalogs = new Map();
+
+/**
+ * Deep-merges a catalog into another (nested keys are merged, not replaced)
+ * @param {Object} target - Catalog to merge into
+ * @param {Object} source - Catalog to merge from
+ * @returns {Object} The target
+ */
+function mergeCatalog(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        if (CSP_BLOCKED_PROPERTIES.has(key)) continue;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+            mergeCatalog(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
+/**
+ * Looks up a message by key ("cart.items") in the catalogs of a locale,
+ * trying the base language ("de" for "de-AT") next
+ * @param {string} locale - Locale to look in
+ * @param {string} key - Flat or dotted key
+ * @returns {string|undefined} Message, if found
+ */
+function findMessage(locale, key) {
+    const candidates = [locale, locale.split('-')[0]];
+    for (const candidate of candidates) {
+        const catalog = translationCatalogs.get(candidate);
+        if (!catalog) continue;
+        if (typeof catalog[key] === 'string') return catalog[key];
+        const value = key.split('.').reduce((node, part) => node && typeof node === 'object' ? node[part] : undefined, catalog);
+        if (typeof value === 'string') return value;
+    }
+    return undefined;
+}
+
+/**
+ * Finds the "}" that closes a "{" in an ICU message
+ * @param {string} message - Message text
+ * @param {number} start - Index just after the "{"
+ * @returns {number} Index of the matching "}"
+ */
+function findClosingBrace(message, start) {
+    let depth = 0;
+    for (let i = start; i < message.length; i++) {
+        if (message[i] === "'" && /[{}#']/.test(message[i + 1] || '')) {
+            const end = message.indexOf("'", i + 1);
+            if (message[i + 1] !== "'" && end !== -1) i = end;
+            else i++;
+        } else if (message[i] === '{') {
+            depth++;
+        } else if (message[i] === '}') {
+            if (depth === 0) return i;
+            depth--;
+        }
+    }
+    throw new SyntaxError(`i18n: Unbalanced braces in "${message}"`);
+}
+
+/**
+ * Parses the options of a plural/select argument: "=0 {none} one {# item} other {# items}"
+ * @param {string} text - Options text
+ * @returns {{offset: number, options: Object<string, string>}} Offset and sub-messages by selector
+ */
+function parseMessageOptions(text) {
+    const options = {};
+    let offset = 0;
+    let i = 0;
+    while (i < text.length) {
+        const selector = /^\s*([^\s{]+)\s*/.exec(text.slice(i));
+        if (!selector) break;
+        i += selector[0].length;
+        if (selector[1].startsWith('offset:')) {
+            offset = Number(selector[1].slice(7));
+            continue;
+        }
+        if (text[i] !== '{') throw new SyntaxError(`i18n: Expected "{" after "${selector[1]}"`);
+        const end = findClosingBrace(text, i + 1);
+        options[selector[1]] = text.slice(i + 1, end);
+        i = end + 1;
+    }
+    return { offset, options };
+}
+
+/**
+ * Formats an ICU MessageFormat string
+ * @param {string} message - Message text
+ * @param {Object} params - Values for the {placeholders}
+ * @param {string} locale - Locale for plural rules, numbers and dates
+ * @param {number} [pound] - Value of "#" inside a plural branch
+ * @returns {string} Formatted message
+ */
+function formatMessage(message, params, locale, pound) {
+    let out = '';
+    for (let i = 0; i < message.length; i++) {
+        const ch = message[i];
+        if (ch === "'") {
+            // '' is a literal quote; '{...}' quotes syntax characters
+            if (message[i + 1] === "'") { out += "'"; i++; continue; }
+            if (/[{}#]/.test(message[i + 1] || '')) {
+                const end = message.indexOf("'", i + 1);
+                out += message.slice(i + 1, end === -1 ? message.length : end);
+                i = end === -1 ? message.length : end;
+                continue;
+            }
+            out += ch;
+        } else if (ch === '#' && pound !== undefined) {
+            out += new Intl.NumberFormat(locale).format(pound);
+        } else if (ch === '{') {
+            const end = findClosingBrace(message, i + 1);
+            out += formatArgument(message.slice(i + 1, end), params, locale, pound);
+            i = end;
+        } else {
+            out += ch;
+        }
+    }
+    return out;
+}
+
+/**
+ * Formats one {argument} of an ICU message
+ * @param {string} text - Argument text without the outer braces
+ * @param {Object} params - Message parameters
+ * @param {string} locale - Locale
+ * @param {number} [pound] - Enclosing plural value
+ * @returns {string} Formatted argument
+ */
+function formatArgument(text, params, locale, pound) {
+    const match = /^\s*([\w$.]+)\s*(?:,\s*(\w+)\s*(?:,([\s\S]*))?)?$/.exec(text);
+    if (!match) throw new SyntaxError(`i18n: Invalid argument "{${text}}"`);
+    const [, name, type, style = ''] = match;
+    const value = params[name];
+
+    switch (type) {
+        case undefined:
+            return value === undefined || value === null ? '' : String(value);
+        case 'number':
+            return new Intl.NumberFormat(locale, style.trim() === 'percent' ? { style: 'percent' }
+                : style.trim() === 'integer' ? { maximumFractionDigits: 0 } : undefined).format(value);
+        case 'date':
+        case 'time': {
+            const key = type === 'date' ? 'dateStyle' : 'timeStyle';
+            return new Intl.DateTimeFormat(locale, { [key]: style.trim() || 'medium' }).format(toDate(value));
+        }
+        case 'plural':
+        case 'selectordinal': {
+            const { offset, options } = parseMessageOptions(style);
+            const number = Number(value) - offset;
+            const exact = options['=' + Number(value)];
+            const category = new Intl.PluralRules(locale, { type: type === 'plural' ? 'cardinal' : 'ordinal' }).select(number);
+            const branch = exact !== undefined ? exact : options[category] !== undefined ? options[category] : options.other;
+            return branch === undefined ? '' : formatMessage(branch, params, locale, number);
+        }
+        case 'select': {
+            const { options } = parseMessageOptions(style);
+            const branch = options[String(value)] !== undefined ? options[String(value)] : options.other;
+            return branch === undefined ? '' : formatMessage(branch, params, locale, pound);
+        }
+    }
+    throw new SyntaxError(`i18n: Unknown argument type "${type}"`);
+}
+
+/**
+ * Translates a key in the current locale, falling back to i18n.fallbackLocale
+ * and then to the key itself
+ * @param {string} key - Message key, e.g. "cart.items"
+ * @param {Object} [params={}] - Values for the message placeholders
+ * @returns {string} Translated text
+ */
+function t(key, params = {}) {
+    let locale = i18n.locale;
+    let message = findMessage(locale, key);
+    if (message === undefined && i18n.fallbackLocale) {
+        locale = i18n.fallbackLocale;
+        message = findMessage(locale, key);
+    }
+    if (message === undefined) return key;
+    try {
+        return formatMessage(message, params, locale);
+    } catch (e) {
+        console.error('i18n error:', key, e);
+        return key;
+    }
+}
+
+/**
+ * Internationalization utility object
+ * @typedef {Object} I18n
+ * @property {string} locale - Current locale
+ * @property {string} fallbackLocale - Locale used for keys missing in the current one
+ * @property {function(string, (Object|string)): Promise<Object>} load - Adds a catalog, or fetches one from a JSON file
+ * @property {function(string): string} setLocale - Switches the locale and re-renders
+ * @property {function(string, Object=): string} t - Translates a key
+ */
+
+/** @type {I18n} */
+const i18n = {
+    locale: document.documentElement.getAttribute('lang') || navigator.language || 'en',
+
+    fallbackLocale: 'en',
+
+    /**
+     * Adds translations for a locale. A string is fetched as a JSON file.
+     * Loading the current locale re-renders the page.
+     * @param {string} locale - Locale the catalog is for
+     * @param {Object|string} catalog - Catalog object, or URL of a JSON catalog
+     * @returns {Promise<Object>} The merged catalog of the locale
+     */
+    load: async function (locale, catalog) {
+        if (typeof catalog === 'string') {
+            try {
+                catalog = JSON.parse(await fetchText(catalog));
+            } catch (e) {
+                console.error('i18n.load error:', locale, e);
+                throw e;
+            }
+        }
+        if (!translationCatalogs.has(locale)) translationCatalogs.set(locale, {});
+        const merged = mergeCatalog(translationCatalogs.get(locale), catalog || {});
+        if (locale === this.locale || locale === this.locale.split('-')[0]) this._rerender();
+        return merged;
+    },
+
+    /**
+     * Switches the current locale and re-renders states, loops and conditions
+     * @param {string} locale - Locale to switch to
+     * @returns {string} The new locale
+     */
+    setLocale: function (locale) {
+        if (!translationCatalogs.has(locale) && !translationCatalogs.has(locale.split('-')[0])) {
+            console.warn(`i18n.setLocale(): No catalog loaded for "${locale}"`);
+        }
+        this.locale = locale;
+        document.documentElement.setAttribute('lang', locale);
+        this._rerender();
+        return locale;
+    },
+
+    t: t,
+
+    _rerender: function () {
+        setState({ states: true, showloader: false });
+        // setState() on the document skips elements owned by createApp() roots
+        appRoots.forEach(root => setState({ root, states: true, showloader: false }));
+    }
+};
+
+// ============================================================================
+// DOM MORPHING
+// Patches live DOM to match new HTML so focus, caret, input values and
+// embedded widgets survive re-renders
+// ============================================================================
+
+/** @type {Set<string>} Elements whose content is produced by their own render() */
+const SELF_RENDERING_TAGS = new Set(['FOR-LOOP', 'CONDITION-BLOCK', 'STATE-ELEMENT', 'INCLUDE-TEMPLATE']);
+
+/**
+ * Updates an element's content with new HTML.
+ * Morphs the existing DOM unless morphing is disabled globally
+ * (configure({ morph: false })) or on the element (no-morph attribute).
+ * @param {Element} element - Element to update
+ * @param {string} html - New inner HTML
+ */
+function setHTML(element, html) {
+    if (!httlConfig.morph || element.hasAttribute('no-morph')) {
+        element.innerHTML = trustedHTML(html);
+        return;
+    }
+    const template = document.createElement('template');
+    template.innerHTML = trustedHTML(html);
+    morphChildren(element, template.content);
+}
+
+/**
+ * Checks whether a live node can be patched into a new node
+ * @param {Node} a - Live node
+ * @param {Node} b - New node
+ * @returns {boolean} True if same node type, tag, id and input type
+ */
+function isSameNode(a, b) {
+    if (a.nodeType !== b.nodeType || a.nodeName !== b.nodeName) return false;
+    if (a.nodeType !== Node.ELEMENT_NODE) return true;
+    return a.id === b.id && a.getAttribute('type') === b.getAttribute('type');
+}
+
+/**
+ * Morphs the children of a live node to match the children of a new node.
+ * New nodes are moved out of the source, so it must be disposable.
+ * @param {Node} target - Live parent node
+ * @param {Node} source - Parent node holding the new children
+ */
+function morphChildren(target, source) {
+    let current = target.firstChild;
+    let incoming = source.firstChild;
+
+    while (incoming) {
+        const nextIncoming = incoming.nextSibling;
+        // Nodes playing a leave transition remove themselves
+        while (current && leavingNodes.has(current)) current = current.nextSibling;
+        let match = current && isSameNode(current, incoming) ? current : null;
+
+        // Look ahead for a moved element with the same id
+        if (!match && incoming.nodeType === Node.ELEMENT_NODE && incoming.id) {
+            for (let node = current; node; node = node.nextSibling) {
+                if (isSameNode(node, incoming)) { match = node; break; }
+            }
+        }
+
+        if (match === current && match) {
+            current = current.nextSibling;
+            morphNode(match, incoming);
+        } else if (match) {
+            target.insertBefore(match, current);
+            morphNode(match, incoming);
+        } else {
+            target.insertBefore(incoming, current);
+        }
+        incoming = nextIncoming;
+    }
+
+    // Remove leftovers
+    while (current) {
+        const next = current.nextSibling;
+        if (!leavingNodes.has(current)) current.remove();
+        current = next;
+    }
+}
+
+/**
+ * Morphs a single live node to match a new node of the same kind
+ * @param {Node} from - Live node
+ * @param {Node} to - New node
+ */
+function morphNode(from, to) {
+    if (from.nodeType !== Node.ELEMENT_NODE) {
+        if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+        return;
+    }
+
+    if (to.hasAttribute('no-morph')) {
+        from.replaceWith(to);
+        return;
+    }
+
+    const changed = morphAttributes(from, to);
+    const tag = from.tagName;
+
+    if (tag === 'TEMPLATE') {
+        if (from.innerHTML !== to.innerHTML) from.innerHTML = trustedHTML(to.innerHTML);
+        return;
+    }
+
+    if (SELF_RENDERING_TAGS.has(tag)) {
+        // Take over the (possibly re-interpolated) template, then let the element render itself
+        const template = to.querySelector(':scope > template[loopid], :scope > template[ifid], :scope > template[stateid]');
+        if (template && typeof from._storeTemplate === 'function') from._originalTemplate = template.innerHTML;
+        if (typeof from.render === 'function' && (tag !== 'INCLUDE-TEMPLATE' || changed)) from.render();
+        return;
+    }
+
+    if (from.hasAttribute('data-loop')) {
+        renderDataLoop(from);
+        return;
+    }
+
+    const textChanged = tag === 'TEXTAREA' && from.defaultValue !== to.defaultValue;
+    morphChildren(from, to);
+    syncFormState(from, to, changed || textChanged);
+}
+
+/**
+ * Copies attributes from a new element onto a live element
+ * @param {Element} from - Live element
+ * @param {Element} to - New element
+ * @returns {boolean} True if any attribute changed
+ */
+function morphAttributes(from, to) {
+    let changed = false;
+    for (const attr of to.attributes) {
+        let value = attr.value;
+        if (attr.name === 'class') {
+            // Keep classes of a running enter/leave transition
+            const running = [...from.classList].filter(name => /-(enter|leave)-(from|active|to)$/.test(name));
+            if (running.length) value = [value, ...running].join(' ');
+        }
+        if (from.getAttribute(attr.name) !== value) {
+            from.setAttribute(attr.name, trustedAttributeValue(from, attr.name, value));
+            changed = true;
+        }
+    }
+    for (const attr of [...from.attributes]) {
+        // Custom elements set their own inline display style when connected
+        if (attr.name === 'style' && from.tagName.includes('-')) continue;
+        if (attr.name === 'class' && /-(enter|leave)-(from|active|to)\b/.test(attr.value)) continue;
+        if (!to.hasAttribute(attr.name)) {
+            from.removeAttribute(attr.name);
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+/**
+ * Applies changed value/checked/selected markup to form control properties.
+ * Controls whose markup did not change keep what the user typed or picked,
+ * and the focused control is never overwritten.
+ * @param {Element} from - Live element
+ * @param {Element} to - New element
+ * @param {boolean} changed - Whether the element's markup changed
+ */
+function syncFormState(from, to, changed) {
+    if (!changed || from === document.activeElement) return;
+    switch (from.tagName) {
+        case 'INPUT':
+            if (from.value !== to.value) from.value = to.value;
+            if (from.checked !== to.checked) from.checked = to.checked;
+            break;
+        case 'OPTION':
+            if (from.selected !== to.selected) from.selected = to.selected;
+            break;
+        case 'TEXTAREA':
+            if (from.value !== to.defaultValue) from.value = to.defaultValue;
+            break;
+    }
+}
+
+// ============================================================================
+// FOR-LOOP CUSTOM ELEMENT
+// ============================================================================
+
+/**
+ * Lists the entries a loop iterates: arrays and iterables (Set, generators...)
+ * by position, Maps by key and plain objects by own enumerable property
+ * @param {*} collection - Array, Map, Set, iterable or object
+ * @returns {Array<[*, *]>} [key, value] pairs (key is the position for arrays and iterables)
+ */
+function toLoopEntries(collection) {
+    if (collection === null || collection === undefined) return [];
+    if (Array.isArray(collection)) return collection.map((value, i) => [i, value]);
+    if (collection instanceof Map) return Array.from(collection.entries());
+    if (typeof collection === 'string' || typeof collection[Symbol.iterator] === 'function') {
+        return Array.from(collection, (value, i) => [i, value]);
+    }
+    if (typeof collection === 'object') return Object.entries(collection);
+    return [];
+}
+
+/** Placeholder for a ${} value while the row's {{}} expressions are evaluated */
+const LOOP_VALUE_MARK = /\x00LV(\d+)\x00/g;
+
+/**
+ * Evaluates the ${} (escaped) and $!{} (raw) expressions of a loop row.
+ * Loop variables come in through the context; the template text itself is
+ * never rewritten, and nested loop templates are left to their own loop.
+ * @param {string} text - Row template text
+ * @param {Object} context - Variables in scope for the row
+ * @param {string[]|null} [values=null] - Collects values outside {{}}, leaving placeholders in their place
+ * @returns {string} Interpolated text
+ */
+function interpolateLoopRow(text, context, values = null) {
+    const evaluate = (match, raw, expr) => {
+        try {
+            return formatOutput(unsafeEval(expr, context), raw === '!');
+        } catch (e) {
+            console.error('Loop expression error:', expr, e);
+            return match;
+        }
+    };
+    return mapOutsideLoopTemplates(text, part => part.replace(/(\{\{[\s\S]*?\}\})|\$(!?)\{([\s\S]*?)\}/g, (match, braces, raw, expr) => {
+        // Inside {{ }} the value becomes part of the expression, e.g. {{ '$!{item.name}'.length }}
+        if (braces) return braces.replace(/\$(!?)\{([\s\S]*?)\}/g, evaluate);
+        const value = evaluate(match, raw, expr);
+        if (!values) return value;
+        values.push(value);
+        return `\x00LV${values.length - 1}\x00`;
+    }));
+}
+
+/**
+ * Renders a loop row template: ${} values and {{}} expressions in one pass,
+ * so a value that contains {{ }} is output as text and never evaluated
+ * @param {string} template - Row template text
+ * @param {Object} context - Variables in scope for the row
+ * @returns {string} Row HTML
+ */
+function renderLoopRow(template, context) {
+    const values = [];
+    const html = parseTemplate(interpolateLoopRow(template, context, values), context);
+    return html.replace(LOOP_VALUE_MARK, (_, n) => values[n]);
+}
+
+/**
+ * Builds the rows of one loop render. Each row's scope holds its own loop
+ * variables; expressions also see the variables of enclosing loops.
+ * @param {Array<[*, *]>} entries - [key, value] pairs from toLoopEntries()
+ * @param {number[]} indexes - Positions in entries to render
+ * @param {string} template - Row template
+ * @param {{valueVar: string, indexVar: string, keyVar?: string|null}} names - Loop variable names
+ * @param {Object} outerScope - Variables of enclosing loop rows
+ * @param {string|null} [keyTemplate=null] - Row key template, or null to key rows by index
+ * @returns {Array<{key: string, html: string, scope: Object}>} Rows for reconcileRows()
+ */
+function buildLoopRows(entries, indexes, template, names, outerScope, keyTemplate = null) {
+    return indexes.map(i => {
+        const [key, value] = entries[i];
+        const scope = { [names.valueVar]: value, [names.indexVar]: i };
+        if (names.keyVar) scope[names.keyVar] = key;
+        const context = { ...outerScope, ...scope };
+        return {
+            key: keyTemplate ? interpolateLoopRow(keyTemplate, context) : String(i),
+            html: renderLoopRow(template, context),
+            scope
+        };
+    });
+}
+
+/** Templates a loop renders instead of rows: <template empty>, <template error> */
+const LOOP_STATE_TEMPLATES = ['empty', 'error'];
+
+/**
+ * Builds the row shown in place of items when a loop has nothing to render.
+ * A failed evaluation uses the error template (with `error` in scope),
+ * anything else the empty template.
+ * @param {Object<string, string>} templates - HTML of the loop's state templates by name
+ * @param {Error|null} error - Error thrown while evaluating the collection
+ * @param {Object} outerScope - Variables of enclosing loop rows
+ * @returns {{key: string, html: string, scope: Object}|null} State row, or null without a matching template
+ */
+function buildLoopStateRow(templates, error, outerScope) {
+    const name = error ? 'error' : 'empty';
+    const template = templates[name];
+    if (template === undefined) return null;
+
+    const scope = error ? { error } : {};
+    const context = { ...outerScope, ...scope };
+    // "#" never appears in index keys, and marks the row apart from item keys
+    return { key: `#${name}`, html: renderLoopRow(template, context), scope };
+}
+
+/**
+ * Compares two sort keys: numbers and dates by value, everything else as
+ * text in the current locale (with numeric runs compared as numbers).
+ * undefined and null sort last in either direction.
+ * @param {*} a - First key
+ * @param {*} b - Second key
+ * @param {boolean} [descending=false] - Reverse the order of present keys
+ * @returns {number} Negative, zero or positive
+ */
+function compareSortKeys(a, b, descending = false) {
+    const aMissing = a === undefined || a === null;
+    const bMissing = b === undefined || b === null;
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+    if (a instanceof Date) a = a.getTime();
+    if (b instanceof Date) b = b.getTime();
+    const order = typeof a === 'number' && typeof b === 'number'
+        ? a - b
+        : String(a).localeCompare(String(b), i18n.locale, { numeric: true });
+    return descending ? -order : order;
+}
+
+/**
+ * Applies a loop's filter and sort attributes to its entries. Both are
+ * expressions evaluated per item with the loop variables in scope
+ * (the index is the item's position in the collection).
+ * @param {Array<[*, *]>} entries - [key, value] pairs from toLoopEntries()
+ * @param {{filter?: string|null, sortBy?: string|null, sortDir?: string|null}} options - Attribute values
+ * @param {{valueVar: string, indexVar: string, keyVar?: string|null}} names - Loop variable names
+ * @param {Object} outerScope - Variables of enclosing loop rows
+ * @returns {Array<[*, *]>} Filtered and sorted entries
+ */
+function filterAndSortEntries(entries, { filter, sortBy, sortDir }, names, outerScope) {
+    if (!filter && !sortBy) return entries;
+
+    const itemScope = (entry, i) => {
+        const scope = { ...outerScope, [names.valueVar]: entry[1], [names.indexVar]: i };
+        if (names.keyVar) scope[names.keyVar] = entry[0];
+        return scope;
+    };
+
+    let items = entries.map((entry, i) => ({ entry, i }));
+    if (filter) items = items.filter(({ entry, i }) => unsafeEval(filter, itemScope(entry, i)));
+    if (sortBy) {
+        // sort-dir is "asc"/"desc", or an expression giving one of them
+        const dir = /^(asc|desc)$/i.test(sortDir || 'asc') ? (sortDir || 'asc') : unsafeEval(sortDir, outerScope);
+        const descending = String(dir).toLowerCase() === 'desc';
+        items.forEach(item => { item.sortKey = unsafeEval(sortBy, itemScope(item.entry, item.i)); });
+        items.sort((a, b) => compareSortKeys(a.sortKey, b.sortKey, descending));
+    }
+    return items.map(item => item.entry);
+}
+
+/**
+ * @typedef {Object} LoopInfo
+ * @property {number} total - Items after filtering, across all pages
+ * @property {number} pageCount - Number of pages (1 when not paged)
+ * @property {number} page - Current page, 1-based, clamped to pageCount
+ * @property {number} pageSize - Items per page (0 when not paged)
+ */
+
+/** @type {Map<string, LoopInfo>} Paging info of each loop by id, from its last render */
+const loopInfos = new Map();
+
+/**
+ * Restricts a loop's positions to the current page
+ * @param {number[]} indexes - All positions the loop renders
+ * @param {string|null|undefined} pageSizeOption - page-size attribute (number or expression)
+ * @param {string|null|undefined} pageOption - page attribute (1-based number or expression)
+ * @param {Object} outerScope - Variables of enclosing loop rows
+ * @returns {{indexes: number[], info: LoopInfo}} Positions on the page, and paging info
+ */
+function paginateIndexes(indexes, pageSizeOption, pageOption, outerScope) {
+    const total = indexes.length;
+    const pageSize = pageSizeOption ? Math.max(0, parseInt(unsafeEval(pageSizeOption, outerScope)) || 0) : 0;
+    if (!pageSize) return { indexes, info: { total, pageCount: 1, page: 1, pageSize: 0 } };
+
+    const pageCount = Math.max(1, Math.ceil(total / pageSize));
+    const page = Math.min(pageCount, Math.max(1, parseInt(pageOption ? unsafeEval(pageOption, outerScope) : 1) || 1));
+    return {
+        indexes: indexes.slice((page - 1) * pageSize, page * pageSize),
+        info: { total, pageCount, page, pageSize }
+    };
+}
+
+/**
+ * Stores a loop's paging info, notifying what reads it when it changed
+ * @param {string|null|undefined} id - Loop id
+ * @param {LoopInfo} info - Paging info from the render
+ */
+function publishLoopInfo(id, info) {
+    if (!id) return;
+    const previous = loopInfos.get(id);
+    if (previous && Object.keys(info).every(key => previous[key] === info[key])) return;
+    loopInfos.set(id, Object.freeze(info));
+    notifyChange(`loopInfo:${id}`);
+}
+
+/**
+ * Returns the paging info of a loop, for pagination controls.
+ * Reading it inside a template or computed() re-renders / recomputes
+ * when the loop's total, page count or page changes.
+ * @param {string} id - for-loop loopid, or data-loop data-loopid (or container id)
+ * @returns {LoopInfo} Paging info (zero items before the loop has rendered)
+ */
+function loopInfo(id) {
+    trackDependency(`loopInfo:${id}`);
+    return loopInfos.get(id) || { total: 0, pageCount: 1, page: 1, pageSize: 0 };
+}
+
+/**
+ * Custom element for rendering loops in HTML
+ * @extends HTMLElement
+ */
+class CustomForLoop extends HTMLElement {
+    constructor() {
+        super();
+        this._originalTemplate = null;
+        /** @type {Object<string, string>} HTML of the <template empty|error> children by name */
+        this._stateTemplates = {};
+        /** @type {Map<string, {html: string, nodes: Node[]}>|null} Rows of the last render by key */
+        this._rows = null;
+        /** @type {boolean} Whether the last render used the key attribute */
+        this._keyed = false;
+    }
+
+    connectedCallback() {
+        this.style.display = 'contents';
+        this._storeTemplate();
+        this.render();
+    }
+
+    _storeTemplate() {
+        if (this._originalTemplate) return;
+        const loopId = this.getAttribute('loopid');
+        const template = this.querySelector(`:scope > template[loopid="${loopId}"]`);
+        if (template) {
+            this._originalTemplate = template.innerHTML;
+        }
+        for (const name of LOOP_STATE_TEMPLATES) {
+            const stateTemplate = this.querySelector(`:scope > template[${name}]`);
+            if (stateTemplate) this._stateTemplates[name] = stateTemplate.innerHTML;
+        }
+    }
+
+    render() {
+        renderWithEvents(this, 'for-loop', () => trackRender(this, () => this._render()));
+    }
+
+    _render() {
+        try {
+            const loopId = this.getAttribute('loopid');
+            if (!loopId) throw new Error('for-loop requires "loopid" attribute');
+
+            // Get or restore template
+            this._storeTemplate();
+            if (!this._originalTemplate) {
+                this._rows = null;
+                this.textContent = '❌ for-loop: Missing template with matching loopid';
+                return;
+            }
+
+            // Variables of enclosing loop rows (outer item, etc.)
+            const outerScope = getLoopScope(this);
+
+            // Evaluate array attribute (array, object, Map, Set or any iterable)
+            let entries = [];
+            let arrayError = null;
+            const arrayAttr = this.getAttribute('array');
+            if (arrayAttr) {
+                try {
+                    entries = toLoopEntries(evaluatePipeline(arrayAttr, outerScope));
+                } catch (e) {
+                    arrayError = e;
+                    if (!('error' in this._stateTemplates)) console.error('for-loop error:', arrayAttr, e);
+                }
+            }
+
+            const start = parseInt(this.getAttribute('start')) || 0;
+            const step = parseInt(this.getAttribute('step')) || 1;
+            let end = this.getAttribute('end');
+
+            if (end !== null) {
+                try { end = unsafeEval(end, outerScope); } catch (e) { end = parseInt(end) || entries.length; }
+            } else {
+                end = entries.length;
+            }
+
+            const valueVar = this.getAttribute('valueVar') || 'value';
+            const indexVar = this.getAttribute('indexVar') || 'index';
+            const keyVar = this.getAttribute('keyVar');
+            const names = { valueVar, indexVar, keyVar };
+
+            // Create range if no array
+            if (entries.length === 0 && end > start) {
+                entries = toLoopEntries(createRangeArray(start, end - 1, step));
+            }
+            entries = filterAndSortEntries(entries, {
+                filter: this.getAttribute('filter'),
+                sortBy: this.getAttribute('sort-by'),
+                sortDir: this.getAttribute('sort-dir')
+            }, names, outerScope);
+
+            const templateCopy = `<template loopid="${loopId}">${this._originalTemplate}</template>` +
+                Object.entries(this._stateTemplates).map(([name, html]) => `<template ${name}>${html}</template>`).join('');
+            const keyAttr = this.getAttribute('key');
+            const keyTemplate = keyAttr && (keyAttr.includes('${') ? keyAttr : `\${${keyAttr}}`);
+
+            const allIndexes = [];
+            for (let i = start; i < Math.min(end, entries.length); i += step) allIndexes.push(i);
+            const { indexes, info } = paginateIndexes(allIndexes, this.getAttribute('page-size'), this.getAttribute('page'), outerScope);
+            publishLoopInfo(loopId, info);
+            const virtual = useVirtualWindow(this, this.parentElement, this.getAttribute('virtual'),
+                this.getAttribute('overscan'), indexes, () => this.render());
+            const rows = buildLoopRows(entries, virtual.indexes, this._originalTemplate, names, outerScope, keyTemplate);
+            if (indexes.length === 0) {
+                const stateRow = buildLoopStateRow(this._stateTemplates, arrayError, outerScope);
+                if (stateRow) rows.push(stateRow);
+            }
+
+            // Unkeyed rows are matched by position. Without morphing they are
+            // rebuilt on every render, like a full innerHTML replace.
+            const fullReplace = !keyTemplate && (!httlConfig.morph || this.hasAttribute('no-morph'));
+            const firstRender = !this._rows;
+            if (firstRender || fullReplace || this._keyed !== Boolean(keyTemplate)) {
+                this._rows = new Map();
+                this.innerHTML = trustedHTML(templateCopy);
+            }
+            this._keyed = Boolean(keyTemplate);
+            // Rows appearing on the first render don't animate
+            const { inserted, ...changes } = reconcileRows(this, rows, this._rows, firstRender ? null : this.getAttribute('transition'));
+            virtual.place(this, this._rows);
+            // Nested content reads the same data when only the window moved
+            if (!windowRenders.has(this)) this._refreshNested(inserted);
+            return changes;
+
+        } catch (error) {
+            console.error('for-loop error:', error);
+            this._rows = null;
+            this.textContent = `❌ for-loop Error: ${error.message}`;
+        }
+    }
+
+    /**
+     * Re-renders nested loops and conditions in rows that were kept. Their
+     * HTML may be unchanged while the loop variables they read have changed;
+     * freshly inserted rows already rendered when they were connected.
+     * @param {Set<Node>} inserted - Row nodes inserted by this render
+     */
+    _refreshNested(inserted) {
+        this.querySelectorAll('for-loop, condition-block').forEach(el => {
+            // Loops further down are refreshed by their own enclosing loop
+            if (el.parentElement.closest('for-loop') !== this) return;
+            for (let node = el; node && node !== this; node = node.parentNode) {
+                if (inserted.has(node)) return;
+            }
+            if (el.render) el.render();
+        });
+    }
+
+    rerender() { this.render(); }
+}
+
+// ============================================================================
+// TRANSITIONS
+// transition="fade" applies fade-enter-from/-enter-active/-enter-to and
+// fade-leave-from/-leave-active/-leave-to classes in stages
+// ============================================================================
+
+/** @type {WeakSet<Node>} Nodes playing a leave transition before removal */
+const leavingNodes = new WeakSet();
+
+/**
+ * Calls a function after the next two animation frames, so that
+ * the "-from" classes are painted before they are swapped
+ * @param {Function} fn - Function to call
+ */
+function nextFrame(fn) {
+    requestAnimationFrame(() => requestAnimationFrame(fn));
+}
+
+/**
+ * Calls done once the element's CSS transition/animation has finished,
+ * or right away if it has none
+ * @param {Element} el - Transitioning element
+ * @param {Function} done - Completion callback
+ */
+function whenTransitionEnds(el, done) {
+    const style = getComputedStyle(el);
+    const toMs = list => Math.max(0, ...String(list || '0s').split(',').map(part => parseFloat(part) * (part.includes('ms') ? 1 : 1000) || 0));
+    const timeout = Math.max(
+        toMs(style.transitionDuration) + toMs(style.transitionDelay),
+        toMs(style.animationDuration) + toMs(style.animationDelay)
+    );
+    if (timeout === 0) {
+        done();
+        return;
+    }
+
+    let finished = false;
+    const finish = event => {
+        if (finished || (event && event.target !== el)) return;
+        finished = true;
+        el.removeEventListener('transitionend', finish);
+        el.removeEventListener('animationend', finish);
+        done();
+    };
+    el.addEventListener('transitionend', finish);
+    el.addEventListener('animationend', finish);
+    setTimeout(finish, timeout + 50); // Fallback if the end event never fires
+}
+
+/**
+ * Plays an enter or leave transition on an element
+ * @param {Element} el - Element to animate
+ * @param {string} name - Transition name (class prefix)
+ * @param {'enter'|'leave'} phase - Which transition to play
+ * @param {Function} [done] - Called when the transition has finished
+ */
+function runTransition(el, name, phase, done = () => { }) {
+    const prefix = `${name}-${phase}`;
+    el.classList.add(`${prefix}-from`, `${prefix}-active`);
+    nextFrame(() => {
+        el.classList.remove(`${prefix}-from`);
+        el.classList.add(`${prefix}-to`);
+        whenTransitionEnds(el, () => {
+            el.classList.remove(`${prefix}-active`, `${prefix}-to`);
+            // Leave no empty class="" behind for the next morph to see as a change
+            if (!el.classList.length) el.removeAttribute('class');
+            done();
+        });
+    });
+}
+
+/**
+ * Plays the enter transition on every element among the given nodes
+ * @param {Node[]} nodes - Newly inserted nodes
+ * @param {string} name - Transition name
+ */
+function enterNodes(nodes, name) {
+    nodes.forEach(node => node.nodeType === Node.ELEMENT_NODE && runTransition(node, name, 'enter'));
+}
+
+/**
+ * Removes nodes, letting elements play their leave transition first
+ * @param {Node[]} nodes - Nodes to remove
+ * @param {string|null} name - Transition name, or null to remove immediately
+ */
+function leaveNodes(nodes, name) {
+    for (const node of nodes) {
+        if (!name || node.nodeType !== Node.ELEMENT_NODE || !node.isConnected) {
+            node.remove();
+            continue;
+        }
+        leavingNodes.add(node);
+        runTransition(node, name, 'leave', () => {
+            leavingNodes.delete(node);
+            node.remove();
+        });
+    }
+}
+
+// ============================================================================
+// KEYED ROW RECONCILIATION
+// ============================================================================
+
+/** @type {WeakMap<Element, Object>} Loop variables of the row each top-level row element belongs to */
+const loopScopes = new WeakMap();
+
+/**
+ * Collects the loop variables visible to an element, from the outermost
+ * loop row to the innermost (inner rows win on name clashes)
+ * @param {Node} node - Element inside rendered loop rows
+ * @returns {Object} Merged loop variables
+ */
+function getLoopScope(node) {
+    const scopes = [];
+    for (let el = node; el; el = el.parentNode || el.host) {
+        const scope = loopScopes.get(el);
+        if (scope) scopes.unshift(scope);
+    }
+    return Object.assign({}, ...scopes);
+}
+
+/**
+ * Parses an HTML string into a list of detached nodes
+ * @param {string} html - HTML to parse
+ * @returns {Node[]} Parsed top-level nodes
+ */
+function htmlToNodes(html) {
+    const template = document.createElement('template');
+    template.innerHTML = trustedHTML(html);
+    return [...template.content.childNodes];
+}
+
+/**
+ * Reconciles keyed rows inside a container against the previous render.
+ * Rows whose key and HTML are unchanged keep their DOM nodes untouched;
+ * changed rows are morphed, and only new, removed and moved rows are
+ * inserted or detached.
+ * Nodes that are not rows (e.g. a trailing <template>) stay after the rows.
+ * @param {Element} container - Element holding the rows
+ * @param {Array<{key: string, html: string, scope?: Object}>} rows - Rows in their new order
+ * @param {Map<string, {html: string, nodes: Node[]}>} cache - Rows from the previous render (updated in place)
+ * @param {string|null} [transition=null] - Transition name for inserted and removed rows
+ * @returns {{inserted: Set<Node>, added: string[], removed: string[], updated: string[]}}
+ *   Nodes inserted by this render, and the keys of added, removed and re-rendered rows
+ */
+function reconcileRows(container, rows, cache, transition = null) {
+    const next = new Map();
+    /** @type {Node[]} Nodes inserted by this render */
+    const entering = [];
+    const added = [];
+    const updated = [];
+
+    for (const row of rows) {
+        let key = String(row.key);
+        if (next.has(key)) {
+            console.warn(`HTTL-S: Duplicate key "${key}" in keyed loop`);
+            let n = 1;
+            while (next.has(`${key}#${n}`)) n++;
+            key = `${key}#${n}`;
+        }
+
+        let entry = cache.get(key);
+        if (entry && entry.nodes.some(node => node.parentNode !== container)) {
+            entry.nodes.forEach(node => node.remove());
+            entry = null;
+        }
+        // Kept nodes get the new loop variables before morphing re-renders them
+        if (entry) setRowScope(entry.nodes, row.scope);
+        if (entry && entry.html !== row.html) {
+            updated.push(key);
+            const fresh = htmlToNodes(row.html);
+            const morphable = httlConfig.morph && !container.hasAttribute('no-morph') &&
+                fresh.length === entry.nodes.length &&
+                fresh.every((node, i) => isSameNode(entry.nodes[i], node));
+            if (morphable) {
+                fresh.forEach((node, i) => morphNode(entry.nodes[i], node));
+                entry.html = row.html;
+            } else {
+                leaveNodes(entry.nodes, transition);
+                entry = { html: row.html, nodes: fresh };
+                entering.push(...fresh);
+            }
+        }
+        if (!entry) {
+            added.push(key);
+            entry = { html: row.html, nodes: htmlToNodes(row.html) };
+            entering.push(...entry.nodes);
+        }
+        setRowScope(entry.nodes, row.scope);
+        next.set(key, entry);
+    }
+
+    // Remove rows that no longer exist
+    const removed = [];
+    for (const [key, entry] of cache) {
+        if (next.get(key) === entry) continue;
+        leaveNodes(entry.nodes, transition);
+        if (!next.has(key)) removed.push(key);
+    }
+
+    // Insert new rows and move existing ones into order
+    // (rows that are still leaving keep their place)
+    let cursor = container.firstChild;
+    for (const entry of next.values()) {
+        for (const node of entry.nodes) {
+            while (cursor && leavingNodes.has(cursor)) cursor = cursor.nextSibling;
+            if (node === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                container.insertBefore(node, cursor);
+            }
+        }
+    }
+
+    cache.clear();
+    next.forEach((entry, key) => cache.set(key, entry));
+
+    if (transition) enterNodes(entering, transition);
+    return { inserted: new Set(entering), added, removed, updated };
+}
+
+/**
+ * Attaches a row's loop variables to its top-level elements
+ * @param {Node[]} nodes - Row nodes
+ * @param {Object} [scope] - Loop variables of the row
+ */
+function setRowScope(nodes, scope) {
+    if (!scope) return;
+    nodes.forEach(node => node.nodeType === Node.ELEMENT_NODE && loopScopes.set(node, scope));
+}
+
+// ============================================================================
+// VIRTUAL SCROLLING
+// virtual="32" (row height in px) or a bare virtual (measured height) renders
+// only the rows in view plus overscan; spacers stand in for the others
+// ============================================================================
+
+/** @type {number} Row height assumed until a measured virtual loop has rendered rows */
+const VIRTUAL_ESTIMATED_ROW_HEIGHT = 30;
+
+/** @type {number} Rows rendered above and below the visible ones by default */
+const VIRTUAL_DEFAULT_OVERSCAN = 5;
+
+/** @type {WeakMap<Element, Object>} Scroll state of each virtual loop */
+const virtualLists = new WeakMap();
+
+/** @type {WeakSet<Element>} Virtual loops rendering only to move their window (scroll, resize, measured height) */
+const windowRenders = new WeakSet();
+
+/**
+ * Finds the nearest scrollable ancestor of an element
+ * @param {Element} el - Element inside the scroll container
+ * @returns {Element|Window} Scroll container, or window when the page scrolls
+ */
+function findScrollContainer(el) {
+    for (let node = el.parentElement; node; node = node.parentElement) {
+        if (/auto|scroll|overlay/.test(getComputedStyle(node).overflowY)) return node;
+    }
+    return window;
+}
+
+/**
+ * Creates an empty element that takes the height of rows not rendered
+ * @param {Element} context - Element the rows are laid out in
+ * @returns {Element} Spacer valid in that context (tr in tables, li in lists)
+ */
+function createSpacer(context) {
+    const tagName = context ? context.tagName : '';
+    const tag = /^(TABLE|THEAD|TBODY|TFOOT)$/.test(tagName) ? 'tr' : /^(UL|OL)$/.test(tagName) ? 'li' : 'div';
+    const spacer = document.createElement(tag);
+    spacer.setAttribute('aria-hidden', 'true');
+    spacer.style.cssText = 'height: 0px; margin: 0; padding: 0; border: 0; list-style: none;';
+    if (tag === 'tr') spacer.appendChild(document.createElement('td')).style.cssText = 'padding: 0; border: 0;';
+    return spacer;
+}
+
+/**
+ * Stops virtual rendering for a loop: removes its spacers and scroll listeners
+ * @param {Element} el - for-loop element or data-loop container
+ */
+function releaseVirtualList(el) {
+    const list = virtualLists.get(el);
+    if (!list) return;
+    list.top.remove();
+    list.bottom.remove();
+    list.scroller.removeEventListener('scroll', list.onScroll);
+    window.removeEventListener('resize', list.onScroll);
+    if (list.frame) cancelAnimationFrame(list.frame);
+    virtualLists.delete(el);
+}
+
+/**
+ * Gets the scroll state of a virtual loop, creating it on first use.
+ * Scrolling and resizing re-render the loop once per animation frame.
+ * @param {Element} el - for-loop element or data-loop container
+ * @param {Element} context - Element the rows are laid out in
+ * @param {Function} rerender - Renders the loop again
+ * @returns {Object} Scroll state
+ */
+function getVirtualList(el, context, rerender) {
+    let list = virtualLists.get(el);
+    if (list) return list;
+
+    list = {
+        rowHeight: 0, measuredHeight: 0, measuredRows: 0,
+        top: createSpacer(context), bottom: createSpacer(context), scroller: findScrollContainer(el), frame: 0
+    };
+    // Renders again on the next frame, at most once per frame
+    list.requestRender = () => {
+        if (list.frame) return;
+        list.frame = requestAnimationFrame(() => {
+            list.frame = 0;
+            windowRenders.add(el);
+            try {
+                rerender();
+            } finally {
+                windowRenders.delete(el);
+            }
+        });
+    };
+    list.onScroll = () => {
+        if (!el.isConnected) {
+            releaseVirtualList(el);
+            return;
+        }
+        list.requestRender();
+    };
+    list.scroller.addEventListener('scroll', list.onScroll, { passive: true });
+    window.addEventListener('resize', list.onScroll);
+    virtualLists.set(el, list);
+    return list;
+}
+
+/**
+ * Narrows the positions a loop renders to its virtual window. Must be called
+ * before the rows are reconciled; place() then sizes the spacers around them.
+ * Without the virtual option the positions are returned unchanged.
+ * @param {Element} el - for-loop element or data-loop container
+ * @param {Element} context - Element the rows are laid out in
+ * @param {string|null|undefined} option - Row height in px, '' / 'auto' to measure, or null when off
+ * @param {string|null|undefined} overscanOption - Rows rendered beyond the visible ones
+ * @param {number[]} indexes - All positions the loop would render
+ * @param {Function} rerender - Renders the loop again
+ * @returns {{indexes: number[], place: function(Element, Map<string, {nodes: Node[]}>): void}}
+ */
+function useVirtualWindow(el, context, option, overscanOption, indexes, rerender) {
+    if (option === null || option === undefined) {
+        releaseVirtualList(el);
+        return { indexes, place() { } };
+    }
+
+    const list = getVirtualList(el, context, rerender);
+    const fixedHeight = parseFloat(option) > 0 ? parseFloat(option) : 0;
+    if (fixedHeight) list.rowHeight = fixedHeight;
+    const height = list.rowHeight || VIRTUAL_ESTIMATED_ROW_HEIGHT;
+    const overscan = overscanOption !== null && overscanOption !== undefined && parseInt(overscanOption) >= 0
+        ? parseInt(overscanOption) : VIRTUAL_DEFAULT_OVERSCAN;
+
+    // Position 0 starts at the top spacer (or at the top of the view before the first render)
+    const view = list.scroller === window
+        ? { top: 0, bottom: window.innerHeight }
+        : list.scroller.getBoundingClientRect();
+    const listTop = list.top.isConnected ? list.top.getBoundingClientRect().top : view.top;
+    const count = indexes.length;
+    const first = Math.min(count, Math.max(0, Math.floor((view.top - listTop) / height) - overscan));
+    const last = Math.min(count, Math.max(first, Math.ceil((view.bottom - listTop) / height) + overscan));
+
+    // Spacers are put back after the rows have been reconciled
+    list.top.remove();
+    list.bottom.remove();
+
+    return {
+        indexes: indexes.slice(first, last),
+        place(container, cache) {
+            container.insertBefore(list.top, container.firstChild);
+            let lastNode = list.top;
+            for (const entry of cache.values()) {
+                if (entry.nodes.length) lastNode = entry.nodes[entry.nodes.length - 1];
+            }
+            lastNode.after(list.bottom);
+
+            if (!fixedHeight && last > first) {
+                const renderedHeight = list.bottom.getBoundingClientRect().top - list.top.getBoundingClientRect().bottom;
+                if (renderedHeight > 0) {
+                    // Running average over every rendered row, so rows of varying height settle instead of oscillating
+                    const firstMeasure = list.measuredRows === 0;
+                    list.measuredHeight += renderedHeight;
+                    list.measuredRows += last - first;
+                    list.rowHeight = list.measuredHeight / list.measuredRows;
+                    // Only the first window was laid out with the estimate: render it once more with the real height
+                    if (firstMeasure && Math.abs(list.rowHeight - height) > 0.5) list.requestRender();
+                }
+            }
+            const rowHeight = list.rowHeight || VIRTUAL_ESTIMATED_ROW_HEIGHT;
+            list.top.style.height = `${first * rowHeight}px`;
+            list.bottom.style.height = `${(count - last) * rowHeight}px`;
+        }
+    };
+}
+
+// ============================================================================
+// DATA-LOOP - For tables and special contexts
+// Uses data attributes instead of child template to work in restricted contexts
+// ============================================================================
+
+/** @type {WeakMap<Element, Map<string, {html: string, nodes: Node[]}>>} Rows of each data-loop's last render */
+const dataLoopRows = new WeakMap();
+
+/**
+ * Renders data-loop containers: all of the page's, or only those inside
+ * (or matching) a root element or selector. Containers inside an app root
+ * from createApp() are rendered only through that root.
+ * Usage: <div data-loop="myArray" data-template="#myTemplate" data-value="item" data-index="i"></div>
+ * @param {ParentNode|string} [rootOrSelector=document] - Root node, or CSS selector of root elements
+ */
+function renderDataLoops(rootOrSelector = document) {
+    const roots = typeof rootOrSelector === 'string'
+        ? document.querySelectorAll(rootOrSelector)
+        : [rootOrSelector];
+    for (const root of roots) {
+        queryOwned(root, '[data-loop]').forEach(renderDataLoop);
+    }
+}
+
+/**
+ * Renders a single data-loop container from its external template
+ * @param {Element} container - Element with a data-loop attribute
+ */
+function renderDataLoop(container) {
+    renderWithEvents(container, 'data-loop', () => trackRender(container, () => {
+        try {
+            const arrayName = container.dataset.loop;
+            const templateSelector = container.dataset.template;
+            const valueVar = container.dataset.value || 'value';
+            const indexVar = container.dataset.index || 'index';
+            const keyVar = container.dataset.keyVar;
+
+            if (!templateSelector) {
+                console.error('data-loop requires data-template attribute');
+                return;
+            }
+
+            const template = document.querySelector(templateSelector);
+            if (!template) {
+                console.error('Template not found:', templateSelector);
+                return;
+            }
+
+            // data-empty-template, data-error-template
+            const stateTemplates = {};
+            for (const name of LOOP_STATE_TEMPLATES) {
+                const selector = container.dataset[`${name}Template`];
+                const stateTemplate = selector && document.querySelector(selector);
+                if (selector && !stateTemplate) console.error('Template not found:', selector);
+                if (stateTemplate) stateTemplates[name] = stateTemplate.innerHTML;
+            }
+
+            const outerScope = getLoopScope(container);
+            let entries = [];
+            let arrayError = null;
+            try {
+                entries = toLoopEntries(evaluatePipeline(arrayName, outerScope));
+            } catch (e) {
+                arrayError = e;
+                if (!('error' in stateTemplates)) console.error('data-loop error:', arrayName, e);
+            }
+
+            const names = { valueVar, indexVar, keyVar };
+            entries = filterAndSortEntries(entries, {
+                filter: container.dataset.filter,
+                sortBy: container.dataset.sort,
+                sortDir: container.dataset.sortDir
+            }, names, outerScope);
+            const { indexes, info } = paginateIndexes(entries.map((_, i) => i),
+                container.dataset.pageSize, container.dataset.page, outerScope);
+            publishLoopInfo(container.dataset.loopid || container.id, info);
+
+            const virtual = useVirtualWindow(container, container, container.dataset.virtual,
+                container.dataset.overscan, indexes, () => renderDataLoop(container));
+            const rows = buildLoopRows(entries, virtual.indexes, template.innerHTML, names, outerScope);
+            if (indexes.length === 0) {
+                const stateRow = buildLoopStateRow(stateTemplates, arrayError, outerScope);
+                if (stateRow) rows.push(stateRow);
+            }
+
+            // Rows are matched by position; without morphing they are rebuilt every render
+            let cache = dataLoopRows.get(container);
+            const firstRender = !cache;
+            if (firstRender || !httlConfig.morph || container.hasAttribute('no-morph')) {
+                cache = new Map();
+                dataLoopRows.set(container, cache);
+                container.replaceChildren();
+            }
+            const { added, removed, updated } = reconcileRows(container, rows, cache, firstRender ? null : container.dataset.transition || null);
+            virtual.place(container, cache);
+            return { added, removed, updated };
+        } catch (e) {
+            console.error('data-loop error:', e);
+        }
+    }));
+}
+
+// ============================================================================
+// APP ROOTS - independent render scopes on one page
+// Usage: const app = createApp('#widget'); app.setState();
+// ============================================================================
+
+/** @type {Set<Element>} Root elements registered with createApp() */
+const appRoots = new Set();
+
+/**
+ * Returns the app root that owns a node: the nearest root registered with
+ * createApp() among its ancestors, crossing shadow roots
+ * @param {Node} node - Node to look up
+ * @returns {Element|null} Owning app root, or null when the node belongs to the page
+ */
+function findAppRoot(node) {
+    if (appRoots.size === 0) return null;
+    for (let el = node; el; el = el.parentNode || el.host) {
+        if (appRoots.has(el)) return el;
+    }
+    return null;
+}
+
+/**
+ * Finds the elements matching a selector that a root owns: the root itself,
+ * its descendants and the contents of include-template shadow roots, but not
+ * elements of another app root nested inside it
+ * @param {ParentNode} root - Document, element or shadow root to search
+ * @param {string} selector - CSS selector
+ * @returns {Element[]} Matching elements, outer trees before shadow trees
+ */
+function queryOwned(root, selector) {
+    const found = [];
+    if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) found.push(root);
+    const visit = node => {
+        found.push(...node.querySelectorAll(selector));
+        node.querySelectorAll('include-template').forEach(include => {
+            if (include._shadowRoot) visit(include._shadowRoot);
+        });
+    };
+    visit(root);
+
+    if (appRoots.size === 0) return found;
+    const owner = findAppRoot(root);
+    return found.filter(el => findAppRoot(el) === owner);
+}
+
+/**
+ * Creates an independent app on a root element. The root owns the elements
+ * inside it: page-wide setState() passes skip them, and app.setState()
+ * renders only them. Renders the root once.
+ * @param {Element|string} rootElement - Root element or its CSS selector
+ * @returns {{root: Element, setState: function(Object=): Promise<void>, renderDataLoops: function(): void, destroy: function(): void}} App handle
+ */
+function createApp(rootElement) {
+    const root = typeof rootElement === 'string' ? document.querySelector(rootElement) : rootElement;
+    if (!root || root.nodeType !== Node.ELEMENT_NODE) {
+        throw new TypeError(`HTTL-S createApp(): Root element not found: ${rootElement}`);
+    }
+
+    appRoots.add(root);
+    const app = {
+        root,
+        /** Renders the app's elements; takes the same options as setState() */
+        setState: (options = {}) => setState({ ...options, root }),
+        /** Renders the app's data-loops */
+        renderDataLoops: () => renderDataLoops(root),
+        /** Hands the root's elements back to the page */
+        destroy: () => { appRoots.delete(root); }
+    };
+    app.setState();
+    return app;
+}
+
+// ============================================================================
+// SET STATE - UI Update Function
+// ============================================================================
+
+/**
+ * Updates UI state by re-rendering specified components
+ * @param {Object} options - Update options
+ * @param {ParentNode} options.root - Element (or app root) whose elements to update (default: document)
+ * @param {string} options.loopid - ID of the for-loop to update
+ * @param {string} options.dataloopid - data-loopid of the data-loop to update (other data-loops are skipped unless dataloops is true)
+ * @param {string} options.ifid - ID of the if-condition to update
+ * @param {boolean} options.showloader - Whether to show the loader
+ * @param {boolean} options.datajs - Whether to update data-js
+ * @param {boolean} options.innerhtml - Whether to update innerhtml
+ * @param {boolean} options.loops - Whether to update loops
+ * @param {boolean} options.dataloops - Whether to update all data-loops (default: true, false when dataloopid is given)
+ * @param {boolean} options.templates - Whether to update templates
+ * @param {boolean} options.conditions - Whether to update conditions
+ * @param {boolean} options.models - Whether to update data-model controls
+ * @returns {Promise<void>} Resolves once every render it triggered has finished, including async include-template loads
+ */
+function setState({
+    root = document,
+    loopid = false,
+    dataloopid = false,
+    stateId = false,
+    ifid = false,
+    states = false,
+    showloader = true,
+    datajs = true,
+    innerhtml = true,
+    loops = true,
+    dataloops = !dataloopid,
+    templates = false,
+    conditions = true,
+    models = true
+} = {}) {
+    try {
+        if (showloader) loader.show();
+
+        // Update specific loop by ID (if provided)
+        if (loopid) {
+            queryOwned(root, `for-loop[loopid="${loopid}"]`).forEach(el => el.render && el.render());
+        }
+
+        // Update specific condition by ID (if provided)
+        if (ifid) {
+            queryOwned(root, `condition-block[ifid="${ifid}"]`).forEach(el => el.render && el.render());
+        }
+
+        // Update specific state element by ID (if provided)
+        if (stateId) {
+            queryOwned(root, `state-element[stateId="${stateId}"]`).forEach(el => el.render && el.render());
+        }
+        // Process data-js attributes
+        if (datajs) {
+            queryOwned(root, '[data-js]').forEach(element => {
+                try {
+                    const code = element.dataset.js.replace(/\bthis\b/g, 'element');
+                    unsafeEval(code, { element });
+                } catch (e) { console.error('data-js error:', e); }
+            });
+        }
+
+        // Process data-innerhtml attributes
+        if (innerhtml) {
+            queryOwned(root, '[data-innerhtml]').forEach(element => {
+                try {
+                    let content = unsafeEval(element.dataset.innerhtml);
+                    if (content !== undefined && content !== null) {
+                        content = String(content).replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+                        // Opt-in like include-template: existing pages keep their styles and iframes
+                        setHTML(element, sanitizeHTML(content, element.dataset.sanitize || 'off'));
+                    }
+                } catch (e) { console.error('data-innerhtml error:', e); }
+            });
+        }
+
+        // Update all for-loops
+        if (loops) {
+            queryOwned(root, 'for-loop').forEach(el => el.render && el.render());
+        }
+
+        // Update data-loop elements: one by data-loopid, or all
+        if (dataloopid && !dataloops) {
+            queryOwned(root, `[data-loop][data-loopid="${dataloopid}"]`).forEach(renderDataLoop);
+        }
+        if (dataloops) {
+            renderDataLoops(root);
+        }
+
+        // Update all templates
+        if (templates) {
+            queryOwned(root, 'include-template').forEach(el => el.render && el.render());
+        }
+
+        // Update all conditions
+        if (conditions) {
+            queryOwned(root, 'condition-block').forEach(el => el.render && el.render());
+        }
+        // Update all states
+        if (states) {
+            queryOwned(root, 'state-element').forEach(el => el.render && el.render());
+        }
+
+        // Update data-model controls last, after everything that creates them
+        if (models) {
+            syncModels(root);
+        }
+
+        if (showloader) loader.hide();
+
+    } catch (error) {
+        if (showloader) loader.hide();
+        console.error('setState error:', error);
+    }
+    return whenRendersSettle();
+};
+
+// ============================================================================
+// FORM BINDING - data-model two-way binding
+// Usage: <input data-model="user.email">
+// Modifiers: data-model-lazy (update on change), data-model-trim, data-model-number
+// ============================================================================
+
+/**
+ * Splits a binding path like "user.tags[0]" into property names
+ * @param {string} path - Dotted/bracketed variable path
+ * @returns {string[]} Path segments
+ */
+function parsePath(path) {
+    return path
+        .replace(/\[\s*(['"]?)([^'"\]]*)\1\s*\]/g, '.$2')
+        .split('.')
+        .map(part => part.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Assigns a value to a variable path. A path starting with a loop variable
+ * (todo.done inside a row) writes into that row's item, any other path into
+ * a global. Goes through the watch() setter or the deep proxy, so watchers
+ * fire as for any other write.
+ * @param {string} path - Dotted/bracketed variable path
+ * @param {*} value - Value to assign
+ * @param {Object} [scope={}] - Loop variables of the bound element's row
+ */
+function setPath(path, value, scope = {}) {
+    const parts = parsePath(path);
+    const last = parts.pop();
+    const inScope = name => Object.prototype.hasOwnProperty.call(scope, name);
+    if (!parts.length && inScope(last)) {
+        throw new Error(`HTTL-S data-model: "${path}" is a loop variable, bind one of its properties instead`);
+    }
+    let target = parts.length && inScope(parts[0]) ? scope : window;
+    for (const part of parts) {
+        target = target[part];
+        if (target === undefined || target === null) {
+            throw new Error(`HTTL-S data-model: "${path}" cannot be assigned, "${part}" is ${target}`);
+        }
+    }
+    target[last] = value;
+}
+
+/**
+ * Returns the event a bound control listens to
+ * @param {Element} el - Control with data-model
+ * @returns {'input'|'change'} Event type
+ */
+function modelEventType(el) {
+    if (el.hasAttribute('data-model-lazy')) return 'change';
+    if (el.tagName === 'SELECT' || el.type === 'checkbox' || el.type === 'radio' || el.type === 'file') return 'change';
+    return 'input';
+}
+
+/**
+ * Formats a Date for a datetime-local input (local time, minutes precision)
+ * @param {Date} date - Date to format
+ * @returns {string} Value like "2026-01-31T09:05"
+ */
+function toLocalDateTime(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Reads a bound control's value, coerced to the type the binding expects
+ * @param {Element} el - Control with data-model
+ * @returns {*} Coerced value
+ */
+function readModelValue(el) {
+    if (el.type === 'checkbox') return el.checked;
+    if (el.tagName === 'SELECT' && el.multiple) {
+        return [...el.selectedOptions].map(option => option.value);
+    }
+    if (el.type === 'number' || el.type === 'range') {
+        return el.value === '' ? null : Number(el.value);
+    }
+    if (el.type === 'date') {
+        return el.value === '' ? null : el.valueAsDate;
+    }
+    if (el.type === 'datetime-local') {
+        return el.value === '' ? null : new Date(el.value);
+    }
+
+    let value = el.value;
+    if (el.hasAttribute('data-model-trim')) value = value.trim();
+    if (el.hasAttribute('data-model-number') && value !== '') {
+        const number = Number(value);
+        if (!Number.isNaN(number)) value = number;
+    }
+    return value;
+}
+
+/**
+ * Writes a bound control's value back into its variable path (loop variables first)
+ * @param {Element} el - Control with data-model
+ */
+function updateModel(el) {
+    const path = el.getAttribute('data-model');
+    try {
+        const scope = getLoopScope(el);
+        const current = unsafeEval(path, scope);
+        const value = readModelValue(el);
+
+        if (el.type === 'checkbox' && Array.isArray(current)) {
+            // Checkbox bound to an array toggles its value in the array
+            const index = current.indexOf(el.value);
+            if (value && index === -1) current.push(el.value);
+            if (!value && index !== -1) current.splice(index, 1);
+            return;
+        }
+        if (el.type === 'radio' && !el.checked) return;
+        setPath(path, value, scope);
+    } catch (e) {
+        console.error('data-model error:', path, e);
+    }
+}
+
+/**
+ * Updates a bound control from its variable path (loop variables first)
+ * @param {Element} el - Control with data-model
+ */
+function syncModel(el) {
+    const path = el.getAttribute('data-model');
+    const value = unsafeEval(path, getLoopScope(el));
+
+    if (el.type === 'checkbox') {
+        el.checked = Array.isArray(value) ? value.includes(el.value) : Boolean(value);
+        return;
+    }
+    if (el.type === 'radio') {
+        el.checked = value !== undefined && value !== null && String(value) === el.value;
+        return;
+    }
+    if (el.tagName === 'SELECT' && el.multiple) {
+        const selected = Array.isArray(value) ? value.map(String) : [];
+        for (const option of el.options) option.selected = selected.includes(option.value);
+        return;
+    }
+
+    // Don't fight the user: skip the focused control if it already holds this value
+    if (el === document.activeElement) {
+        const current = readModelValue(el);
+        const same = current instanceof Date && value instanceof Date
+            ? current.getTime() === value.getTime()
+            : current === value || (current === '' && (value === undefined || value === null));
+        if (same) return;
+    }
+
+    let text;
+    if (value === undefined || value === null) text = '';
+    else if (value instanceof Date && el.type === 'date') text = value.toISOString().slice(0, 10);
+    else if (value instanceof Date && el.type === 'datetime-local') text = toLocalDateTime(value);
+    else text = String(value);
+
+    if (el.value !== text) el.value = text;
+}
+
+/**
+ * Updates every data-model control inside a root from its variable
+ * @param {ParentNode} [root=document] - Element or document to search
+ */
+function syncModels(root = document) {
+    queryOwned(root, '[data-model]').forEach(el => {
+        try {
+            trackRender(el, () => syncModel(el));
+        } catch (e) {
+            console.error('data-model error:', el.getAttribute('data-model'), e);
+        }
+    });
+}
+
+/**
+ * Delegated input/change listener for data-model controls (on the document, plus
+ * "change" on each include-template shadow root)
+ * @param {Event} event - input or change event
+ */
+function handleModelEvent(event) {
+    const el = event.composedPath()[0];
+    if (!el || !el.hasAttribute || !el.hasAttribute('data-model')) return;
+    if (modelEventType(el) !== event.type) return;
+    updateModel(el);
+}
+
+// ============================================================================
+// EVENT DIRECTIVES - data-on:event="code"
+// Usage: <button data-on:click.prevent="removeItem(item)">
+// Modifiers: prevent, stop, self, once, debounce[.ms]
+// ============================================================================
+
+/** @type {string[]} Events delegated from the document by default */
+const DIRECTIVE_EVENTS = [
+    'click', 'dblclick', 'contextmenu', 'input', 'change', 'submit', 'reset',
+    'keydown', 'keyup', 'focusin', 'focusout', 'focus', 'blur',
+    'mousedown', 'mouseup', 'mouseover', 'mouseout', 'mouseenter', 'mouseleave',
+    'pointerdown', 'pointerup', 'touchstart', 'touchend',
+    'dragstart', 'dragover', 'drop', 'scroll', 'load', 'error', 'toggle'
+];
+
+/** @type {Set<string>} Events that don't bubble and are caught in the capture phase */
+const NON_BUBBLING_EVENTS = new Set(['focus', 'blur', 'mouseenter', 'mouseleave', 'scroll', 'load', 'error', 'toggle']);
+
+/** @type {Set<string>} Event types with a document listener */
+const delegatedEvents = new Set();
+
+/** @type {WeakMap<Element, Set<string>>} once-handlers that already ran, by element */
+const firedOnceHandlers = new WeakMap();
+
+/** @type {WeakMap<Element, Map<string, number>>} Pending debounce timers by element and attribute */
+const debounceTimers = new WeakMap();
+
+/** Default debounce delay in milliseconds */
+const DEFAULT_DEBOUNCE = 250;
+
+/**
+ * Adds a single document-level listener for an event type
+ * @param {string} type - Event type
+ */
+function delegateEvent(type) {
+    if (delegatedEvents.has(type)) return;
+    delegatedEvents.add(type);
+    document.addEventListener(type, handleDirectiveEvent, NON_BUBBLING_EVENTS.has(type));
+}
+
+/**
+ * Delegates every event type used by data-on attributes in the document,
+ * including attributes still inside <template> elements
+ * @param {ParentNode} [root=document] - Root to scan
+ */
+function delegateDirectiveEvents(root = document) {
+    DIRECTIVE_EVENTS.forEach(delegateEvent);
+    for (const el of root.querySelectorAll('*')) {
+        for (const name of el.getAttributeNames()) {
+            if (name.startsWith('data-on:')) delegateEvent(name.slice(8).split('.')[0]);
+        }
+        if (el.tagName === 'TEMPLATE') delegateDirectiveEvents(el.content);
+    }
+}
+
+/** @type {WeakMap<ShadowRoot, Set<string>>} Event types with a listener on each include-template shadow root */
+const shadowDelegatedEvents = new WeakMap();
+
+/**
+ * Delegates data-on events inside an include-template shadow root. Events that
+ * are not composed (change, submit, reset...) never reach the document listener.
+ * @param {ShadowRoot} root - Shadow root whose content was just rendered
+ */
+function delegateShadowDirectiveEvents(root) {
+    delegateDirectiveEvents(root);
+    if (!shadowDelegatedEvents.has(root)) shadowDelegatedEvents.set(root, new Set());
+    const types = shadowDelegatedEvents.get(root);
+    for (const type of delegatedEvents) {
+        if (types.has(type)) continue;
+        types.add(type);
+        root.addEventListener(type, handleShadowDirectiveEvent, NON_BUBBLING_EVENTS.has(type));
+    }
+}
+
+/**
+ * Shadow root listener: composed events are left to the document listener
+ * @param {Event} event - Event inside the shadow root
+ */
+function handleShadowDirectiveEvent(event) {
+    if (!event.composed) handleDirectiveEvent(event);
+}
+
+/**
+ * Runs data-on handlers along the event path, innermost first
+ * @param {Event} event - Delegated event
+ */
+function handleDirectiveEvent(event) {
+    const path = event.composedPath();
+    for (const el of path) {
+        if (el === document || el === window) break;
+        if (el.nodeType !== Node.ELEMENT_NODE) continue;
+
+        let stopped = false;
+        for (const name of el.getAttributeNames()) {
+            if (!name.startsWith('data-on:')) continue;
+            const [type, ...modifiers] = name.slice(8).split('.');
+            if (type !== event.type) continue;
+            if (runDirective(el, name, modifiers, event)) stopped = true;
+        }
+
+        // .stop or event.stopPropagation() in a handler ends the walk once the element's
+        // own handlers have run, as in the DOM. Non-bubbling events only reach their own target
+        if (stopped || event.cancelBubble || !event.bubbles) break;
+    }
+}
 
-            const pattern = /\$\{([\s\S]*?)\}/g;
-            let outputHtml = '';
+/**
+ * Runs one data-on handler, applying its modifiers
+ * @param {Element} el - Element carrying the attribute
+ * @param {string} name - Full attribute name, e.g. "data-on:click.prevent"
+ * @param {string[]} modifiers - Modifiers parsed from the attribute name
+ * @param {Event} event - The event being handled
+ * @returns {boolean} True if the stop modifier ended propagation
+ */
+function runDirective(el, name, modifiers, event) {
+    if (modifiers.includes('self') && event.composedPath()[0] !== el) return false;
+
+    if (modifiers.includes('once')) {
+        if (!firedOnceHandlers.has(el)) firedOnceHandlers.set(el, new Set());
+        const fired = firedOnceHandlers.get(el);
+        if (fired.has(name)) return false;
+        fired.add(name);
+    }
 
-            for (let i = 0; i < array.length; i++) {
-                const loopValue = array[i];
-                const loopIndex = i;
+    if (modifiers.includes('prevent')) event.preventDefault();
+    const stop = modifiers.includes('stop');
+    if (stop) stopPropagationAt(el, event);
 
-                let iterHtml = template.innerHTML
-                    .replace(new RegExp(`\\b${valueVar}\\b`, 'g'), 'loopValue')
-                    .replace(new RegExp(`\\b${indexVar}\\b`, 'g'), 'loopIndex');
+    const code = el.getAttribute(name);
+    const debounceAt = modifiers.indexOf('debounce');
+    if (debounceAt === -1) {
+        runHandler(code, el, event);
+        return stop;
+    }
 
-                iterHtml = iterHtml.replace(pattern, (match, expr) => {
-                    try {
-                        const result = unsafeEval(expr, { loopValue, loopIndex });
-                        return result !== undefined && result !== null ? String(result) : '';
-                    } catch (e) {
-                        return match;
-                    }
-                });
+    const delay = parseInt(modifiers[debounceAt + 1]) || DEFAULT_DEBOUNCE;
+    if (!debounceTimers.has(el)) debounceTimers.set(el, new Map());
+    const timers = debounceTimers.get(el);
+    clearTimeout(timers.get(name));
+    timers.set(name, setTimeout(() => {
+        timers.delete(name);
+        runHandler(code, el, event);
+    }, delay));
+    return stop;
+}
 
-                outputHtml += iterHtml;
-            }
+/**
+ * Stops an event at an element. Non-bubbling events are delegated in the capture
+ * phase, before they reach the element, so they are stopped once they get there
+ * @param {Element} el - Element carrying the stop modifier
+ * @param {Event} event - The event being handled
+ */
+function stopPropagationAt(el, event) {
+    if (event.eventPhase !== Event.CAPTURING_PHASE) {
+        event.stopPropagation();
+        return;
+    }
+    const stopAtTarget = e => {
+        if (e !== event) return;
+        e.stopPropagation();
+        el.removeEventListener(event.type, stopAtTarget);
+    };
+    el.addEventListener(event.type, stopAtTarget);
+    // Clean up if the event never got there
+    setTimeout(() => el.removeEventListener(event.type, stopAtTarget));
+}
 
-            container.innerHTML = parseTemplate(outputHtml);
-        } catch (e) {
-            console.error('data-loop error:', e);
+/**
+ * Executes handler code with the loop variables of the element's row,
+ * compiled once per handler like template expressions. Watched globals are
+ * not copied into parameters, so assignments like "count++" reach the
+ * watched variable and trigger its callback.
+ * @param {string} code - Handler statements
+ * @param {Element} element - Element the handler belongs to ("this")
+ * @param {Event} event - The event being handled
+ */
+function runHandler(code, element, event) {
+    try {
+        const context = { ...getLoopScope(element), event, element };
+        const body = code.replace(/\bthis\b/g, 'element');
+        if (httlConfig.evaluator === 'csp') {
+            cspEval(body, context);
+            return;
         }
-    });
+        const keys = Object.keys(context);
+        const { fn, scope } = compileExpression(body, keys, true);
+        fn(scope, ...keys.map(key => context[key]));
+    } catch (e) {
+        console.error('data-on error:', code, e);
+    }
 }
 
 // ============================================================================
-// SET STATE - UI Update Function
+// HTML SANITIZER - allowlist of tags, attributes and URL schemes
+// Usage: sanitizeHTML(html, 'basic'), <div data-innerhtml="..." data-sanitize="strict">
+// Levels: strict (inline formatting), basic (common content, default), off
 // ============================================================================
 
+/** @type {Set<string>} Elements removed together with their content */
+const SANITIZE_DROP_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'IFRAME', 'FRAME', 'FRAMESET', 'OBJECT', 'EMBED', 'APPLET', 'TEMPLATE', 'NOSCRIPT',
+    'LINK', 'META', 'BASE', 'TITLE', 'SVG', 'MATH', 'FORM', 'INPUT', 'BUTTON', 'SELECT', 'TEXTAREA'
+]);
+
+/** @type {Set<string>} Attributes whose value is a URL */
+const SANITIZE_URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+
+/** @type {Set<string>} URL schemes allowed in URL attributes (relative URLs are always allowed) */
+const SANITIZE_URL_SCHEMES = new Set(['http', 'https', 'mailto', 'tel']);
+
+/** HTTL-S directives that evaluate code and must not come from sanitized HTML */
+const SANITIZE_DIRECTIVE_ATTRIBUTE = /^data-(js|innerhtml|on[:-]|loop|model|template|value|index|transition|sanitize)/;
+
+const STRICT_TAGS = ['A', 'ABBR', 'B', 'BR', 'CODE', 'EM', 'I', 'LI', 'MARK', 'OL', 'P', 'PRE', 'S', 'SMALL',
+    'SPAN', 'STRONG', 'SUB', 'SUP', 'U', 'UL', 'BLOCKQUOTE'];
+
 /**
- * Updates UI state by re-rendering specified components
- * @param {Object} options - Update options
- * @param {string} options.loopid - ID of the for-loop to update
- * @param {string} options.ifid - ID of the if-condition to update
- * @param {boolean} options.showloader - Whether to show the loader
- * @param {boolean} options.datajs - Whether to update data-js
- * @param {boolean} options.innerhtml - Whether to update innerhtml
- * @param {boolean} options.loops - Whether to update loops
- * @param {boolean} options.dataloops - Whether to update data-loops
- * @param {boolean} options.templates - Whether to update templates
- * @param {boolean} options.conditions - Whether to update conditions
+ * Sanitizer profiles by level
+ * @type {Object<string, {tags: Set<string>, attributes: Object<string, Set<string>>, dataAttributes: boolean}>}
  */
-function setState({
-    loopid = false,
-    stateId = false,
-    ifid = false,
-    states = false,
-    showloader = true,
-    datajs = true,
-    innerhtml = true,
-    loops = true,
-    dataloops = true,
-    templates = false,
-    conditions = true
-} = {}) {
-    try {
-        if (showloader) loader.show();
-
-        // Update specific loop by ID (if provided)
-        if (loopid) {
-            document.querySelectorAll(`for-loop[loopid="${loopid}"]`).forEach(el => el.render && el.render());
-        }
+const SANITIZE_PROFILES = {
+    strict: {
+        tags: new Set(STRICT_TAGS),
+        attributes: {
+            '*': new Set(['title']),
+            A: new Set(['href'])
+        },
+        dataAttributes: false
+    },
+    basic: {
+        tags: new Set([...STRICT_TAGS,
+            'ADDRESS', 'ARTICLE', 'ASIDE', 'CAPTION', 'CITE', 'COL', 'COLGROUP', 'DD', 'DEL', 'DETAILS', 'DFN', 'DIV',
+            'DL', 'DT', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'IMG',
+            'INS', 'KBD', 'MAIN', 'NAV', 'Q', 'SAMP', 'SECTION', 'SUMMARY', 'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH',
+            'THEAD', 'TIME', 'TR', 'VAR', 'WBR']),
+        attributes: {
+            // No id/name: they could shadow globals through named window access
+            '*': new Set(['class', 'title', 'lang', 'dir', 'role']),
+            A: new Set(['href', 'target', 'rel']),
+            BLOCKQUOTE: new Set(['cite']),
+            Q: new Set(['cite']),
+            IMG: new Set(['src', 'alt', 'width', 'height', 'loading']),
+            OL: new Set(['start', 'reversed', 'type']),
+            TD: new Set(['colspan', 'rowspan']),
+            TH: new Set(['colspan', 'rowspan', 'scope']),
+            COL: new Set(['span']),
+            COLGROUP: new Set(['span']),
+            TIME: new Set(['datetime']),
+            DETAILS: new Set(['open'])
+        },
+        dataAttributes: true
+    }
+};
 
-        // Update specific condition by ID (if provided)
-        if (ifid) {
-            document.querySelectorAll(`condition-block[ifid="${ifid}"]`).forEach(el => el.render && el.render());
-        }
+/**
+ * Checks a URL attribute value against the allowed schemes
+ * @param {string} value - Attribute value
+ * @param {boolean} allowDataImage - Whether data:image/* URLs are allowed (img src)
+ * @returns {boolean} True if the URL is safe
+ */
+function isSafeURL(value, allowDataImage) {
+    // Browsers ignore control characters and whitespace inside the scheme
+    const url = value.replace(/[\u0000- \u007F-\u009F]/g, '');
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+    if (!scheme) return true;
+    const name = scheme[1].toLowerCase();
+    if (name === 'data') return allowDataImage && /^data:image\/(png|gif|jpe?g|webp|avif);/i.test(url);
+    return SANITIZE_URL_SCHEMES.has(name);
+}
 
-        // Update specific state element by ID (if provided)
-        if (stateId) {
-            document.querySelectorAll(`state-element[stateId="${stateId}"]`).forEach(el => el.render && el.render());
-        }
-        // Process data-js attributes
-        if (datajs) {
-            document.querySelectorAll('[data-js]').forEach(element => {
-                try {
-                    const code = element.dataset.js.replace(/\bthis\b/g, 'element');
-                    unsafeEval(code, { element });
-                } catch (e) { console.error('data-js error:', e); }
-            });
-        }
+/**
+ * Checks one attribute against a sanitizer profile
+ * @param {string} tag - Upper-case tag name
+ * @param {string} name - Attribute name
+ * @param {string} value - Attribute value
+ * @param {Object} profile - Entry of SANITIZE_PROFILES
+ * @returns {boolean} True if the attribute may stay
+ */
+function isAllowedAttribute(tag, name, value, profile) {
+    if (SANITIZE_URL_ATTRIBUTES.has(name) && !isSafeURL(value, tag === 'IMG' && name === 'src')) return false;
+    if (profile.attributes['*'].has(name)) return true;
+    if (profile.attributes[tag] && profile.attributes[tag].has(name)) return true;
+    if (name.startsWith('aria-')) return true;
+    return profile.dataAttributes && name.startsWith('data-') && !SANITIZE_DIRECTIVE_ATTRIBUTE.test(name);
+}
 
-        // Process data-innerhtml attributes
-        if (innerhtml) {
-            document.querySelectorAll('[data-innerhtml]').forEach(element => {
-                try {
-                    let content = unsafeEval(element.dataset.innerhtml);
-                    if (content !== undefined && content !== null) {
-                        content = String(content).replace(/&lt;/g, '<').replace(/&gt;/g, '>');
-                        element.innerHTML = content;
-                    }
-                } catch (e) { console.error('data-innerhtml error:', e); }
-            });
+/**
+ * Removes disallowed elements and attributes below a node
+ * @param {Node} parent - Node whose children are sanitized
+ * @param {Object} profile - Entry of SANITIZE_PROFILES
+ */
+function sanitizeChildren(parent, profile) {
+    for (const node of Array.from(parent.childNodes)) {
+        if (node.nodeType === Node.TEXT_NODE) continue;
+        if (node.nodeType !== Node.ELEMENT_NODE || SANITIZE_DROP_TAGS.has(node.nodeName.toUpperCase())) {
+            node.remove(); // Comments, processing instructions and dangerous elements
+            continue;
         }
 
-        // Update all for-loops
-        if (loops) {
-            document.querySelectorAll('for-loop').forEach(el => el.render && el.render());
-        }
+        sanitizeChildren(node, profile);
 
-        // Update data-loop elements
-        if (dataloops) {
-            renderDataLoops();
+        const tag = node.nodeName.toUpperCase();
+        if (!profile.tags.has(tag)) {
+            // Unknown or custom elements are unwrapped, keeping their (sanitized) content
+            node.replaceWith(...node.childNodes);
+            continue;
         }
 
-        // Update all templates
-        if (templates) {
-            document.querySelectorAll('include-template').forEach(el => el.render && el.render());
+        for (const { name, value } of Array.from(node.attributes)) {
+            if (!isAllowedAttribute(tag, name, value, profile)) node.removeAttribute(name);
         }
 
-        // Update all conditions
-        if (conditions) {
-            document.querySelectorAll('condition-block').forEach(el => el.render && el.render());
-        }
-        // Update all states
-        if (states) {
-            document.querySelectorAll('state-element').forEach(el => el.render && el.render());
+        if (tag === 'A' && node.getAttribute('target') === '_blank') {
+            node.setAttribute('rel', 'noopener noreferrer');
         }
+    }
+}
 
-        if (showloader) loader.hide();
-
-    } catch (error) {
-        if (showloader) loader.hide();
-        console.error('setState error:', error);
+/**
+ * Sanitizes an HTML string against an allowlist of tags, attributes and URL schemes.
+ * Event-handler attributes, inline styles, scripts and javascript: URLs are always removed.
+ * @param {string} html - HTML to sanitize
+ * @param {'strict'|'basic'|'off'} [level='basic'] - Sanitizer level
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeHTML(html, level = 'basic') {
+    if (level === 'off') return String(html);
+    let profile = SANITIZE_PROFILES[level];
+    if (!profile) {
+        console.warn(`HTTL-S sanitizeHTML(): Unknown level "${level}", using "strict"`);
+        profile = SANITIZE_PROFILES.strict;
     }
-};
+    // Template content is inert: nothing loads or runs while it is parsed
+    const template = document.createElement('template');
+    template.innerHTML = trustedHTML(String(html));
+    sanitizeChildren(template.content, profile);
+    return template.innerHTML;
+}
 
 // ============================================================================
 // URL UTILITIES
@@ -623,6 +4095,23 @@ function convertRelativeToAbsolute(htmlString, baseUrl) {
     });
 }
 
+/**
+ * Fetches a file as text, showing the loader while it loads.
+ * Used by include-template and i18n.load().
+ * @param {string} url - File URL
+ * @returns {Promise<string>} File contents
+ */
+async function fetchText(url) {
+    loader.show();
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+        return await response.text();
+    } finally {
+        loader.hide();
+    }
+}
+
 function extractDirectory(relativeUrl) {
     const anchor = document.createElement('a');
     anchor.href = relativeUrl;
@@ -644,61 +4133,70 @@ class IncludeTemplate extends HTMLElement {
         this.render();
     }
 
-    async render() {
+    /**
+     * Loads and renders the file
+     * @returns {Promise<void>} Resolves once the content is in place
+     */
+    render() {
+        return renderWithEvents(this, 'include-template', () => this._render());
+    }
+
+    async _render() {
+        const file = this.getAttribute('file');
         try {
-            const file = this.getAttribute('file');
-            if (!file) { this.innerHTML = '❌ include-template requires "file" attribute'; return; }
+            if (!file) { this.textContent = '❌ include-template requires "file" attribute'; return; }
 
             // Check if scoped mode (default: true for CSS isolation)
             const scoped = this.getAttribute('scoped') !== 'false';
 
-            loader.show();
-            const response = await fetch(file);
-            if (!response.ok) throw new Error(`Failed to load ${file}: ${response.status}`);
-
-            let html = await response.text();
+            let html = await fetchText(file);
             const dir = extractDirectory(file);
             const anchor = document.createElement('a');
             anchor.href = dir;
             html = convertRelativeToAbsolute(html, anchor.href + '/');
-            html = parseTemplate(html);
+
+            // Sanitized files are untrusted: their {{ }} is not evaluated and scripts are stripped
+            const sanitize = this.dataset.sanitize || 'off';
+            html = sanitize === 'off' ? parseTemplate(html) : sanitizeHTML(html, sanitize);
 
             if (scoped) {
                 // Use Shadow DOM for CSS isolation
                 if (!this._shadowRoot) {
                     this._shadowRoot = this.attachShadow({ mode: 'open' });
+                    // "change" isn't composed and never reaches the document listener
+                    this._shadowRoot.addEventListener('change', handleModelEvent);
                 }
-                this._shadowRoot.innerHTML = html;
+                this._shadowRoot.innerHTML = trustedHTML(html);
 
                 // Execute scripts in shadow DOM context
                 this._shadowRoot.querySelectorAll('script').forEach(oldScript => {
                     const newScript = document.createElement('script');
                     if (oldScript.src) {
-                        newScript.src = oldScript.src;
+                        newScript.src = trustedScriptURL(oldScript.src);
                     } else {
                         // Wrap script content to execute in component context
-                        newScript.textContent = oldScript.textContent;
+                        newScript.textContent = trustedScript(oldScript.textContent);
                     }
                     oldScript.parentNode.replaceChild(newScript, oldScript);
                 });
+                delegateShadowDirectiveEvents(this._shadowRoot);
             } else {
                 // No scoping - global styles (legacy behavior)
-                this.innerHTML = html;
+                this.innerHTML = trustedHTML(html);
 
                 // Execute scripts
                 this.querySelectorAll('script').forEach(oldScript => {
                     const newScript = document.createElement('script');
-                    if (oldScript.src) newScript.src = oldScript.src;
-                    else newScript.textContent = oldScript.textContent;
+                    if (oldScript.src) newScript.src = trustedScriptURL(oldScript.src);
+                    else newScript.textContent = trustedScript(oldScript.textContent);
                     oldScript.parentNode.replaceChild(newScript, oldScript);
                 });
             }
-
-            loader.hide();
+            return { file };
         } catch (error) {
             console.error('include-template error:', error);
-            this.innerHTML = `❌ Error: ${error.message}`;
-            loader.hide();
+            this.textContent = `❌ Error: ${error.message}`;
+            return { file, error };
         }
     }
 
@@ -709,10 +4207,83 @@ class IncludeTemplate extends HTMLElement {
 // CONDITION BLOCK - RECURSIVE PROCESSING
 // ============================================================================
 
+/**
+ * Checks whether a collection holds an item: array/string/Set membership,
+ * Map key or own object key
+ * @param {*} collection - Array, string, Set, Map or object
+ * @param {*} item - Item to look for
+ * @returns {boolean} True if found
+ */
+function collectionHas(collection, item) {
+    if (collection === null || collection === undefined) return false;
+    if (Array.isArray(collection)) return collection.includes(item);
+    if (typeof collection === 'string') return collection.includes(String(item));
+    if (collection instanceof Set || collection instanceof Map) return collection.has(item);
+    if (typeof collection === 'object') return Object.prototype.hasOwnProperty.call(collection, item);
+    return false;
+}
+
+/**
+ * Checks for null, undefined, '', empty arrays/Maps/Sets and objects without keys
+ * @param {*} value - Value to check
+ * @returns {boolean} True if empty
+ */
+function isEmptyValue(value) {
+    if (value === null || value === undefined || value === '') return true;
+    if (Array.isArray(value) || typeof value === 'string') return value.length === 0;
+    if (value instanceof Set || value instanceof Map) return value.size === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+}
+
+/**
+ * Comparison operators for if-condition, elseif-condition and case-block.
+ * Each attribute value is evaluated and compared with the condition value.
+ * @type {Object<string, function(*, *): boolean>}
+ */
+const CONDITION_OPERATORS = {
+    eq: (value, compare) => value === compare,
+    neq: (value, compare) => value !== compare,
+    gt: (value, compare) => value > compare,
+    lt: (value, compare) => value < compare,
+    gte: (value, compare) => value >= compare,
+    lte: (value, compare) => value <= compare,
+    in: (value, collection) => collectionHas(collection, value),
+    contains: (value, item) => collectionHas(value, item),
+    matches: (value, pattern) => {
+        const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+        regex.lastIndex = 0;
+        return regex.test(String(value));
+    },
+    between: (value, range) => {
+        if (!Array.isArray(range) || range.length !== 2) {
+            throw new TypeError('between expects [min, max]');
+        }
+        return value >= range[0] && value <= range[1];
+    }
+};
+
+/**
+ * Operators that take no attribute value
+ * @type {Object<string, function(*): boolean>}
+ */
+const CONDITION_FLAGS = {
+    empty: value => isEmptyValue(value),
+    notempty: value => !isEmptyValue(value)
+};
+
 class ConditionBlock extends HTMLElement {
     constructor() {
         super();
         this._originalTemplate = null;
+        /** @type {boolean} Whether the current render keeps toggle-mode branches mounted */
+        this._hasToggles = false;
+        /** @type {number[]} Index of the winning branch of each chain/switch, in processing order */
+        this._branchTrail = [];
+        /** @type {string|null} Branch trail of the previous render */
+        this._lastTrail = null;
+        /** @type {Object} Loop variables visible to this block, read at each render */
+        this._scope = {};
     }
 
     connectedCallback() {
@@ -731,62 +4302,92 @@ class ConditionBlock extends HTMLElement {
     }
 
     render() {
+        renderWithEvents(this, 'condition-block', () => trackRender(this, () => this._render()));
+    }
+
+    _render() {
         try {
             const ifid = this.getAttribute('ifid');
             if (!ifid) throw new Error('condition-block requires "ifid" attribute');
 
             this._storeTemplate();
             if (!this._originalTemplate) {
-                this.innerHTML = '❌ condition-block requires template with matching ifid';
+                this.textContent = '❌ condition-block requires template with matching ifid';
                 return;
             }
 
+            // Conditions inside loop rows see the row's loop variables
+            this._scope = getLoopScope(this);
+
             // Parse template with {{}} expressions first
-            let html = parseTemplate(this._originalTemplate);
+            let html = parseTemplate(this._originalTemplate, this._scope);
 
             // Process all conditions recursively
+            this._branchTrail = [];
+            this._hasToggles = false;
             html = this._processConditionsRecursive(html);
+            const trail = this._branchTrail.join(',');
 
             // Preserve template
             const templateCopy = `<template ifid="${ifid}">${this._originalTemplate}</template>`;
-            this.innerHTML = html + templateCopy;
+            const transition = this.getAttribute('transition');
+            if (this._hasToggles) {
+                this._morphToggles(html + templateCopy, transition);
+            } else if (transition && this._lastTrail !== null && trail !== this._lastTrail) {
+                this._swapWithTransition(html + templateCopy, transition);
+            } else {
+                setHTML(this, html + templateCopy);
+            }
+            return this._branchChanges();
 
         } catch (error) {
             console.error('condition-block error:', error);
-            this.innerHTML = `❌ condition-block Error: ${error.message}`;
+            this.textContent = `❌ condition-block Error: ${error.message}`;
         }
     }
 
     /**
-     * Recursively process if-condition and else-condition elements
+     * Replaces the rendered content when a different branch won, letting the
+     * old content play its leave transition while the new content enters
+     * @param {string} html - New inner HTML (including the template copy)
+     * @param {string} name - Transition name
+     */
+    _swapWithTransition(html, name) {
+        const isTemplate = node => node.nodeType === Node.ELEMENT_NODE && node.tagName === 'TEMPLATE';
+        const template = [...this.childNodes].find(isTemplate) || null;
+        const leaving = [...this.childNodes].filter(node => !isTemplate(node) && !leavingNodes.has(node));
+        const entering = htmlToNodes(html).filter(node => !isTemplate(node));
+
+        leaveNodes(leaving, name);
+        entering.forEach(node => this.insertBefore(node, template));
+        enterNodes(entering, name);
+    }
+
+    /**
+     * Recursively process if/elseif/else chains and switch blocks
      * @param {string} html - HTML string to process
      * @returns {string} Processed HTML
      */
     _processConditionsRecursive(html) {
         // Create a temporary container
         const container = document.createElement('div');
-        container.innerHTML = html;
+        container.innerHTML = trustedHTML(html);
 
-        // Keep processing until no more if-condition elements exist
+        // Keep processing until no more if-condition/switch-block elements exist
+        // (toggle-mode ones stay mounted and are marked as resolved)
+        const pending = 'if-condition:not([data-httl-toggled]), switch-block:not([data-httl-toggled])';
         let maxIterations = 100; // Prevent infinite loops
-        while (container.querySelector('if-condition') && maxIterations-- > 0) {
-            // Get all if-conditions at current level (not nested ones that might be inside unprocessed else)
-            const ifElements = container.querySelectorAll('if-condition');
-
-            for (const ifEl of ifElements) {
-                // Skip if this if-condition is inside an unprocessed else-condition sibling
-                // (it will be processed when that else is resolved)
-                const parentElse = ifEl.closest('else-condition');
-                if (parentElse && container.contains(parentElse)) {
-                    // Check if there's a corresponding if for this else that hasn't been processed
-                    const elseid = parentElse.getAttribute('elseid');
-                    const correspondingIf = container.querySelector(`if-condition[elseid="${elseid}"]`);
-                    if (correspondingIf && correspondingIf !== ifEl && !ifEl.contains(correspondingIf)) {
-                        continue; // Skip - this will be processed when the else is unwrapped
-                    }
-                }
+        while (container.querySelector(pending) && maxIterations-- > 0) {
+            const elements = container.querySelectorAll(pending);
+
+            for (const el of elements) {
+                // Already removed together with a losing branch
+                if (!container.contains(el)) continue;
+                // Processed once the branch around it is resolved
+                if (this._isInsidePendingBranch(container, el)) continue;
 
-                this._processSingleIfElse(container, ifEl);
+                if (el.tagName === 'SWITCH-BLOCK') this._processSwitch(el);
+                else this._processSingleIfElse(container, el);
             }
         }
 
@@ -794,7 +4395,34 @@ class ConditionBlock extends HTMLElement {
     }
 
     /**
-     * Process a single if-condition and its corresponding else-condition
+     * Checks whether an element sits inside a branch that has not been resolved yet
+     * @param {Element} container - Temporary container being processed
+     * @param {Element} el - if-condition or switch-block element
+     * @returns {boolean} True if it must wait for an enclosing chain or switch
+     */
+    _isInsidePendingBranch(container, el) {
+        const branch = el.parentElement && el.parentElement.closest(
+            ['if-condition', 'elseif-condition', 'else-condition', 'switch-block', 'case-block', 'default-block']
+                .map(tag => `${tag}:not([data-httl-toggled])`).join(', ')
+        );
+        if (!branch || !container.contains(branch)) return false;
+
+        if (branch.tagName === 'ELSE-CONDITION' || branch.tagName === 'ELSEIF-CONDITION') {
+            // Branches without a matching if-condition are plain content
+            const elseid = branch.getAttribute('elseid');
+            const correspondingIf = elseid && container.querySelector(`if-condition[elseid="${elseid}"]`);
+            return Boolean(correspondingIf && !el.contains(correspondingIf));
+        }
+        if (branch.tagName === 'CASE-BLOCK' || branch.tagName === 'DEFAULT-BLOCK') {
+            return Boolean(branch.closest('switch-block'));
+        }
+        return true;
+    }
+
+    /**
+     * Process an if-condition together with its elseif-condition and
+     * else-condition branches. Branches join the chain by sharing the
+     * if-condition's elseid, or by directly following it when it has none.
      */
     _processSingleIfElse(container, ifEl) {
         const elseid = ifEl.getAttribute('elseid') || '';
@@ -806,96 +4434,254 @@ class ConditionBlock extends HTMLElement {
             return;
         }
 
-        // Evaluate the condition
-        const conditionResult = this._evaluateCondition(ifEl);
+        const { elseIfEls, elseEl } = this._findChain(container, ifEl, elseid);
 
-        // Find the corresponding else-condition
-        // Look in the same parent scope
-        let elseEl = null;
-        if (elseid) {
-            const parent = ifEl.parentElement;
-            if (parent) {
-                // First try direct siblings
-                for (const sibling of parent.children) {
-                    if (sibling.tagName === 'ELSE-CONDITION' && sibling.getAttribute('elseid') === elseid) {
-                        elseEl = sibling;
-                        break;
-                    }
-                }
+        // First branch whose condition holds wins; else-condition is the fallback
+        let winner = null;
+        for (const branch of [ifEl, ...elseIfEls]) {
+            if (branch.tagName === 'ELSEIF-CONDITION' && !branch.getAttribute('value')) {
+                console.error('elseif-condition requires "value" attribute');
+                continue;
             }
-            // If not found, search more broadly but within container
-            if (!elseEl) {
-                elseEl = container.querySelector(`else-condition[elseid="${elseid}"]`);
+            if (this._evaluateCondition(branch)) {
+                winner = branch;
+                break;
             }
         }
+        if (!winner) winner = elseEl;
 
-        if (conditionResult) {
-            // Condition TRUE: keep if content, remove else
-            if (elseEl) elseEl.remove();
+        const branches = [ifEl, ...elseIfEls, elseEl];
+        this._branchTrail.push(branches.indexOf(winner));
 
-            // Replace if-condition with its contents (unwrap)
-            const fragment = document.createDocumentFragment();
-            while (ifEl.firstChild) {
-                fragment.appendChild(ifEl.firstChild);
-            }
-            ifEl.parentNode.replaceChild(fragment, ifEl);
+        const toggle = this._isToggleMode(ifEl);
+        for (const branch of branches) {
+            if (!branch) continue;
+            if (toggle) this._setBranchVisible(branch, branch === winner);
+            else if (branch === winner) this._unwrap(branch);
+            else branch.remove();
+        }
+    }
+
+    /**
+     * Checks whether a chain or switch keeps all branches mounted
+     * @param {Element} el - if-condition or switch-block element
+     * @returns {boolean} True for mode="toggle" on the element or this block
+     */
+    _isToggleMode(el) {
+        return this.getAttribute('mode') === 'toggle' || el.getAttribute('mode') === 'toggle';
+    }
+
+    /**
+     * Shows or hides a mounted toggle-mode branch
+     * @param {Element} branch - Branch element
+     * @param {boolean} visible - Whether the branch is the active one
+     */
+    _setBranchVisible(branch, visible) {
+        const mounted = branch.hasAttribute('data-httl-toggled');
+        const wasVisible = mounted && !branch.hidden;
+        branch.setAttribute('data-httl-toggled', '');
+        this._hasToggles = true;
+        branch._httlActive = visible;
+
+        const apply = () => {
+            if (branch._httlActive !== visible) return; // Switched again meanwhile
+            branch.hidden = !visible;
+            branch.style.display = visible ? 'contents' : 'none';
+        };
+
+        // Animate the branch's children when a mounted branch changes visibility
+        const transition = this.getAttribute('transition');
+        if (!transition || !mounted || !branch.isConnected || visible === wasVisible) {
+            apply();
+            return;
+        }
+        const children = [...branch.children];
+        if (visible) {
+            apply();
+            enterNodes(children, transition);
+        } else if (children.length === 0) {
+            apply();
         } else {
-            // Condition FALSE: remove if, unwrap else content
-            ifEl.remove();
+            let pending = children.length;
+            children.forEach(child => runTransition(child, transition, 'leave', () => {
+                if (--pending === 0) apply();
+            }));
+        }
+    }
+
+    /**
+     * Records the branches taken by this render
+     * @returns {{branches: number[], branchChanged: boolean}} Winning branch index of each
+     *   chain/switch (-1 for none), and whether any differs from the previous render
+     */
+    _branchChanges() {
+        const trail = this._branchTrail.join(',');
+        const branchChanged = trail !== this._lastTrail;
+        this._lastTrail = trail;
+        return { branches: [...this._branchTrail], branchChanged };
+    }
 
-            if (elseEl) {
-                // Unwrap else-condition content
-                const fragment = document.createDocumentFragment();
-                while (elseEl.firstChild) {
-                    fragment.appendChild(elseEl.firstChild);
+    /**
+     * Morphs a render with toggle-mode branches into the mounted ones, so their
+     * forms, iframes and players survive (even with morphing turned off) while
+     * {{}} values and nested chains refresh. Branches switched by the render
+     * play their transition.
+     * @param {string} html - New inner HTML (including the template copy)
+     * @param {string|null} transition - Transition name
+     */
+    _morphToggles(html, transition) {
+        const toggled = () => [...this.querySelectorAll('[data-httl-toggled]')]
+            .filter(el => el.closest('condition-block') === this);
+        const wasVisible = toggled().map(branch => !branch.hidden);
+
+        const template = document.createElement('template');
+        template.innerHTML = trustedHTML(html);
+        morphChildren(this, template.content);
+
+        const branches = toggled();
+        if (!transition || branches.length !== wasVisible.length) return;
+        branches.forEach((branch, i) => {
+            const visible = !branch.hidden;
+            if (visible === wasVisible[i]) return;
+            // Put back the old state so the branch can animate into the new one
+            branch.hidden = !wasVisible[i];
+            branch.style.display = wasVisible[i] ? 'contents' : 'none';
+            branch._httlActive = wasVisible[i];
+            this._setBranchVisible(branch, visible);
+        });
+    }
+
+    /**
+     * Finds the elseif-condition and else-condition branches of an if-condition
+     * @param {Element} container - Temporary container being processed
+     * @param {Element} ifEl - Head of the chain
+     * @param {string} elseid - Chain id ('' when the if-condition has none)
+     * @returns {{elseIfEls: Element[], elseEl: Element|null}} Branches in order
+     */
+    _findChain(container, ifEl, elseid) {
+        const elseIfEls = [];
+        let elseEl = null;
+
+        if (!elseid) {
+            // No id: the chain is made of directly following siblings without ids
+            for (let sibling = ifEl.nextElementSibling; sibling; sibling = sibling.nextElementSibling) {
+                if (sibling.hasAttribute('elseid')) break;
+                if (sibling.tagName === 'ELSEIF-CONDITION') {
+                    elseIfEls.push(sibling);
+                    continue;
                 }
-                elseEl.parentNode.replaceChild(fragment, elseEl);
+                if (sibling.tagName === 'ELSE-CONDITION') elseEl = sibling;
+                break;
             }
+            return { elseIfEls, elseEl };
+        }
+
+        elseIfEls.push(...container.querySelectorAll(`elseif-condition[elseid="${elseid}"]`));
+
+        // Find the corresponding else-condition
+        // Look in the same parent scope
+        const parent = ifEl.parentElement;
+        if (parent) {
+            // First try direct siblings
+            for (const sibling of parent.children) {
+                if (sibling.tagName === 'ELSE-CONDITION' && sibling.getAttribute('elseid') === elseid) {
+                    elseEl = sibling;
+                    break;
+                }
+            }
+        }
+        // If not found, search more broadly but within container
+        if (!elseEl) {
+            elseEl = container.querySelector(`else-condition[elseid="${elseid}"]`);
+        }
+        return { elseIfEls, elseEl };
+    }
+
+    /**
+     * Process a switch-block: the first case-block whose operators match the
+     * switch value wins, otherwise the default-block
+     * @param {Element} switchEl - switch-block element
+     */
+    _processSwitch(switchEl) {
+        const valueAttr = switchEl.getAttribute('value');
+        if (!valueAttr) {
+            console.error('switch-block requires "value" attribute');
+            switchEl.remove();
+            return;
+        }
+
+        const value = unsafeEval(valueAttr, this._scope);
+        const cases = [...switchEl.children].filter(child => child.tagName === 'CASE-BLOCK');
+        const defaultEl = [...switchEl.children].find(child => child.tagName === 'DEFAULT-BLOCK');
+        const winner = cases.find(caseEl => this._evaluateCondition(caseEl, value)) || defaultEl;
+        this._branchTrail.push(winner ? [...cases, defaultEl].indexOf(winner) : -1);
+
+        if (this._isToggleMode(switchEl)) {
+            switchEl.setAttribute('data-httl-toggled', '');
+            [...cases, defaultEl].forEach(branch => branch && this._setBranchVisible(branch, branch === winner));
+            return;
+        }
+
+        // Keep only the winning branch's content in place of the switch
+        const fragment = document.createDocumentFragment();
+        if (winner) {
+            while (winner.firstChild) fragment.appendChild(winner.firstChild);
+        }
+        switchEl.parentNode.replaceChild(fragment, switchEl);
+    }
+
+    /**
+     * Replaces a branch element with its contents
+     * @param {Element} el - Branch element to unwrap
+     */
+    _unwrap(el) {
+        const fragment = document.createDocumentFragment();
+        while (el.firstChild) {
+            fragment.appendChild(el.firstChild);
         }
+        el.parentNode.replaceChild(fragment, el);
     }
 
     /**
-     * Evaluate an if-condition element's condition
+     * Evaluate a branch element's condition. Every operator attribute present
+     * must hold (AND); with none, the value is checked for truthiness.
+     * The `not` attribute negates the result.
+     * @param {Element} ifEl - if-condition, elseif-condition or case-block element
+     * @param {*} [switchValue] - Value of the enclosing switch-block (used when the element has no value)
      */
-    _evaluateCondition(ifEl) {
+    _evaluateCondition(ifEl, switchValue) {
         try {
             const valueAttr = ifEl.getAttribute('value');
-            const eqAttr = ifEl.getAttribute('eq');
-            const neqAttr = ifEl.getAttribute('neq');
-            const gtAttr = ifEl.getAttribute('gt');
-            const ltAttr = ifEl.getAttribute('lt');
-            const gteAttr = ifEl.getAttribute('gte');
-            const lteAttr = ifEl.getAttribute('lte');
-
-            const value = unsafeEval(valueAttr);
-
-            if (eqAttr !== null) {
-                const compare = unsafeEval(eqAttr);
-                return value === compare;
-            }
-            if (neqAttr !== null) {
-                const compare = unsafeEval(neqAttr);
-                return value !== compare;
-            }
-            if (gtAttr !== null) {
-                const compare = unsafeEval(gtAttr);
-                return value > compare;
-            }
-            if (ltAttr !== null) {
-                const compare = unsafeEval(ltAttr);
-                return value < compare;
+            const value = valueAttr === null && arguments.length > 1 ? switchValue : unsafeEval(valueAttr, this._scope);
+
+            let hasOperator = false;
+            let result = true;
+
+            for (const [name, test] of Object.entries(CONDITION_OPERATORS)) {
+                const attr = ifEl.getAttribute(name);
+                if (attr === null) continue;
+                hasOperator = true;
+                if (!test(value, unsafeEval(attr, this._scope))) { result = false; break; }
             }
-            if (gteAttr !== null) {
-                const compare = unsafeEval(gteAttr);
-                return value >= compare;
+
+            if (result) {
+                for (const [name, test] of Object.entries(CONDITION_FLAGS)) {
+                    if (!ifEl.hasAttribute(name)) continue;
+                    hasOperator = true;
+                    if (!test(value)) { result = false; break; }
+                }
             }
-            if (lteAttr !== null) {
-                const compare = unsafeEval(lteAttr);
-                return value <= compare;
+
+            const typeAttr = ifEl.getAttribute('typeof');
+            if (result && typeAttr !== null) {
+                hasOperator = true;
+                result = getType(value) === typeAttr.trim().replace(/^(['"])(.*)\1$/, '$2');
             }
 
             // No comparison operator - treat as boolean
-            return Boolean(value);
+            if (!hasOperator) result = Boolean(value);
+
+            return ifEl.hasAttribute('not') ? !result : result;
         } catch (error) {
             console.error('Condition evaluation error:', error);
             return false;
@@ -911,15 +4697,40 @@ class ConditionBlock extends HTMLElement {
 
 class IfCondition extends HTMLElement {
     connectedCallback() {
-        this.style.display = 'contents';
+        // Hidden toggle-mode branches stay mounted but invisible
+        this.style.display = this.hidden ? 'none' : 'contents';
     }
 }
 
 class ElseCondition extends HTMLElement {
+    connectedCallback() {
+        this.style.display = this.hidden ? 'none' : 'contents';
+    }
+}
+
+class ElseIfCondition extends HTMLElement {
+    connectedCallback() {
+        this.style.display = this.hidden ? 'none' : 'contents';
+    }
+}
+
+class SwitchBlock extends HTMLElement {
     connectedCallback() {
         this.style.display = 'contents';
     }
 }
+
+class CaseBlock extends HTMLElement {
+    connectedCallback() {
+        this.style.display = this.hidden ? 'none' : 'contents';
+    }
+}
+
+class DefaultBlock extends HTMLElement {
+    connectedCallback() {
+        this.style.display = this.hidden ? 'none' : 'contents';
+    }
+}
 // ============================================================================
 // STATE ELEMENT
 // ============================================================================
@@ -939,18 +4750,22 @@ class StateElement extends HTMLElement {
         }
     }
     render() {
+        renderWithEvents(this, 'state-element', () => trackRender(this, () => this._render()));
+    }
+
+    _render() {
         const stateId = this.getAttribute('stateId');
         if (!stateId) throw new Error('state-element requires "stateId" attribute');
 
         // Get or restore template
         this._storeTemplate();
         if (!this._originalTemplate) {
-            this.innerHTML = '❌ state-element: Missing template with matching stateId';
+            this.textContent = '❌ state-element: Missing template with matching stateId';
             return;
         }
-        let html = parseTemplate(this._originalTemplate);
+        let html = parseTemplate(this._originalTemplate, getLoopScope(this));
         let templateCopy = `<template stateId="${stateId}">${this._originalTemplate}</template>`;
-        this.innerHTML = html + templateCopy;
+        setHTML(this, html + templateCopy);
     }
 }
 // ============================================================================
@@ -1005,9 +4820,20 @@ function initState() {
     if (!customElements.get('include-template')) customElements.define('include-template', IncludeTemplate);
     if (!customElements.get('if-condition')) customElements.define('if-condition', IfCondition);
     if (!customElements.get('else-condition')) customElements.define('else-condition', ElseCondition);
+    if (!customElements.get('elseif-condition')) customElements.define('elseif-condition', ElseIfCondition);
+    if (!customElements.get('switch-block')) customElements.define('switch-block', SwitchBlock);
+    if (!customElements.get('case-block')) customElements.define('case-block', CaseBlock);
+    if (!customElements.get('default-block')) customElements.define('default-block', DefaultBlock);
     if (!customElements.get('condition-block')) customElements.define('condition-block', ConditionBlock);
     if (!customElements.get('state-element')) customElements.define('state-element', StateElement);
 
+    // Two-way binding for data-model controls
+    document.addEventListener('input', handleModelEvent);
+    document.addEventListener('change', handleModelEvent);
+
+    // Delegated data-on:event handlers
+    delegateDirectiveEvents();
+
     // Initial render of data-loops
     renderDataLoops();
     setState()
@@ -1019,11 +4845,21 @@ function initState() {
 
 if (typeof window !== 'undefined') {
     window.loader = loader;
+    window.configure = configure;
     window.watch = watch;
+    window.computed = computed;
     window.parseTemplate = parseTemplate;
+    window.escapeHTML = escapeHTML;
+    window.registerFilter = registerFilter;
+    window.i18n = i18n;
+    window.t = t;
+    window.sanitizeHTML = sanitizeHTML;
+    window.useTrustedTypesPolicy = useTrustedTypesPolicy;
     window.createRangeArray = createRangeArray;
     window.setState = setState;
     window.renderDataLoops = renderDataLoops;
+    window.createApp = createApp;
+    window.loopInfo = loopInfo;
     window.convertRelativeToAbsolute = convertRelativeToAbsolute;
     window.extractDirectory = extractDirectory;
     window.getType = getType;
@@ -36,6 +36,74 @@ interface Loader {
 
 declare const loader: Loader;
 
+// ============================================================================
+// INTERNATIONALIZATION
+// ============================================================================
+
+/** A translation catalog: nested objects of ICU MessageFormat strings */
+interface TranslationCatalog {
+    [key: string]: string | TranslationCatalog;
+}
+
+interface I18n {
+    /** Current locale (initially <html lang>, then the browser language) */
+    locale: string;
+    /** Locale used for keys missing in the current locale (default: 'en') */
+    fallbackLocale: string;
+
+    /**
+     * Adds translations for a locale. A string is fetched as a JSON file.
+     * Loading the current locale re-renders the page.
+     * @param locale - Locale the catalog is for
+     * @param catalog - Catalog object, or URL of a JSON catalog
+     * @returns The merged catalog of the locale
+     */
+    load(locale: string, catalog: TranslationCatalog | string): Promise<TranslationCatalog>;
+
+    /**
+     * Switches the current locale and re-renders states, loops and conditions
+     * @param locale - Locale to switch to
+     * @returns The new locale
+     */
+    setLocale(locale: string): string;
+
+    /** Same as the global t() */
+    t: typeof t;
+}
+
+declare const i18n: I18n;
+
+/**
+ * Translates a key in the current locale, falling back to i18n.fallbackLocale
+ * and then to the key itself. Messages use ICU MessageFormat (plural, select, number, date).
+ * @param key - Message key, e.g. "cart.items"
+ * @param params - Values for the message placeholders
+ * @returns Translated text
+ */
+declare function t(key: string, params?: Record<string, any>): string;
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+interface HttlConfig {
+    /** Re-render dependent elements automatically when watched variables change (default: false) */
+    autoRender: boolean;
+    /** Patch re-rendered HTML into the live DOM instead of replacing innerHTML (default: true) */
+    morph: boolean;
+    /** HTML-escape {{ }} and ${ } output; {{{ }}} and $!{ } stay raw (default: true) */
+    escape: boolean;
+    /** 'csp' evaluates expressions with the built-in interpreter instead of new Function() (default: 'function') */
+    evaluator: 'function' | 'csp';
+}
+
+/**
+ * Updates global library options
+ * @param options - Options to change
+ * @returns The current configuration
+ */
+declare function configure(options?: Partial<HttlConfig>): HttlConfig;
+
 // ============================================================================
 // STATE WATCHING
 // ============================================================================
@@ -57,6 +125,15 @@ declare function watch<T>(
     defaultValue?: T
 ): void;
 
+/**
+ * Creates a read-only global whose value is derived from watched variables.
+ * Watched variables read by `fn` are tracked; the result is cached and
+ * recomputed only after one of them changes.
+ * @param propName - The name of the global variable to create
+ * @param fn - Getter that derives the value
+ */
+declare function computed<T>(propName: string, fn: () => T): void;
+
 // ============================================================================
 // EXPRESSION EVALUATION
 // ============================================================================
@@ -74,11 +151,49 @@ declare function safeEval(expression: string, context?: Record<string, any>): an
 // ============================================================================
 
 /**
- * Parses JavaScript expressions inside {{}} in a template string
+ * Parses JavaScript expressions inside {{}} in a template string.
+ * Output is HTML-escaped; {{{expression}}} inserts raw HTML.
+ * Nested loop templates (<template loopid>) are left for their own loop.
  * @param template - Template string containing {{expression}} placeholders
+ * @param context - Variables in scope (e.g. loop variables)
  * @returns Parsed template with expressions evaluated
  */
-declare function parseTemplate(template: string): string;
+declare function parseTemplate(template: string, context?: Record<string, any>): string;
+
+/**
+ * Registers a filter usable as `value | name(arg1, arg2)` in {{ }}, ${ } and condition attributes.
+ * Built-ins: uppercase, lowercase, currency, number, date, relativeTime, truncate, json, default, pluralize
+ * @param name - Filter name (a JavaScript identifier)
+ * @param fn - Receives the piped value and the filter arguments
+ */
+declare function registerFilter(name: string, fn: (value: any, ...args: any[]) => any): void;
+
+/**
+ * Escapes a value for safe insertion into HTML text or attributes
+ * @param value - Value to escape
+ * @returns Escaped string
+ */
+declare function escapeHTML(value: any): string;
+
+/**
+ * Sanitizes an HTML string against an allowlist of tags, attributes and URL schemes.
+ * Event-handler attributes, inline styles, scripts and javascript: URLs are always removed.
+ * @param html - HTML to sanitize
+ * @param level - 'strict' (inline formatting), 'basic' (common content, default) or 'off'
+ * @returns Sanitized HTML
+ */
+declare function sanitizeHTML(html: string, level?: 'strict' | 'basic' | 'off'): string;
+
+/**
+ * Makes the library use an app-provided Trusted Types policy for all its
+ * HTML and script sinks instead of creating the "httl-s" policy. Call before initState().
+ * @param policy - A TrustedTypePolicy, or null to use plain strings
+ */
+declare function useTrustedTypesPolicy(policy: {
+    createHTML(input: string): any;
+    createScript?(input: string): any;
+    createScriptURL?(input: string): any;
+} | null): void;
 
 /**
  * Creates an array of numbers from start to end with given step
@@ -94,18 +209,44 @@ declare function createRangeArray(start: number, end: number, step?: number): nu
 // ============================================================================
 
 /**
- * Renders all elements with data-loop attribute
+ * Renders elements with data-loop attribute: all of them, or those inside (or matching) a root
  * Used for table rows and other contexts where custom elements don't work
+ * @param rootOrSelector - Root node, or CSS selector of root elements (default: document)
+ */
+declare function renderDataLoops(rootOrSelector?: ParentNode | string): void;
+
+/**
+ * Paging info of a loop from its last render
+ */
+interface LoopInfo {
+    /** Items after filtering, across all pages */
+    readonly total: number;
+    /** Number of pages (1 when not paged) */
+    readonly pageCount: number;
+    /** Current page, 1-based */
+    readonly page: number;
+    /** Items per page (0 when not paged) */
+    readonly pageSize: number;
+}
+
+/**
+ * Returns the paging info of a for-loop (by loopid) or data-loop (by data-loopid or container id).
+ * Reads are tracked, so templates and computed values update with the loop.
+ * @param id - Loop id
  */
-declare function renderDataLoops(): void;
+declare function loopInfo(id: string): LoopInfo;
 
 // ============================================================================
 // STATE MANAGEMENT
 // ============================================================================
 
 interface SetStateOptions {
+    /** Element (or app root) whose elements to update, crossing include-template shadow roots (default: document) */
+    root?: ParentNode;
     /** Specific for-loop ID to update, or false for all */
     loopid?: string | false;
+    /** data-loopid of the data-loop to update; other data-loops are skipped unless dataloops is true */
+    dataloopid?: string | false;
     /** Specific condition-block ID to update, or false for all */
     ifid?: string | false;
     /** Specific state-element ID to update, or false for all */
@@ -120,19 +261,69 @@ interface SetStateOptions {
     loops?: boolean;
     /** Whether to update state-element elements (default: true) */
     states?: boolean;
-    /** Whether to update data-loop elements (default: true) */
+    /** Whether to update all data-loop elements (default: true, false when dataloopid is given) */
     dataloops?: boolean;
     /** Whether to update include-template elements (default: false) */
     templates?: boolean;
     /** Whether to update condition-block elements (default: true) */
     conditions?: boolean;
+    /** Whether to update data-model controls from their variables (default: true) */
+    models?: boolean;
 }
 
 /**
  * Updates UI state by re-rendering specified components
  * @param options - Update options
+ * @returns Resolves once every render it triggered has finished, including async include-template loads
+ */
+declare function setState(options?: SetStateOptions): Promise<void>;
+
+/**
+ * Detail of the httl:beforerender and httl:afterrender events
+ */
+interface HttlRenderEventDetail {
+    /** Kind of element being rendered */
+    kind: 'for-loop' | 'condition-block' | 'state-element' | 'data-loop' | 'include-template';
+    /** Watched variables whose change triggered the render (auto render), otherwise empty */
+    changed: string[];
+    /** Loops (afterrender): keys of inserted rows */
+    added?: string[];
+    /** Loops (afterrender): keys of removed rows */
+    removed?: string[];
+    /** Loops (afterrender): keys of re-rendered rows */
+    updated?: string[];
+    /** condition-block (afterrender): winning branch of each chain/switch, -1 for none */
+    branches?: number[];
+    /** condition-block (afterrender): whether any winning branch changed */
+    branchChanged?: boolean;
+    /** include-template (afterrender): loaded file */
+    file?: string;
+    /** include-template (afterrender): error if loading failed */
+    error?: Error;
+}
+
+/**
+ * Independent render scope created by createApp()
  */
-declare function setState(options?: SetStateOptions): void;
+interface HttlApp {
+    /** The app's root element */
+    readonly root: Element;
+    /** Renders only the app's elements */
+    setState(options?: SetStateOptions): Promise<void>;
+    /** Renders only the app's data-loops */
+    renderDataLoops(): void;
+    /** Hands the root's elements back to the page */
+    destroy(): void;
+}
+
+/**
+ * Makes an element an independent app root. Page-wide setState() and
+ * renderDataLoops() skip its elements; app.setState() renders only them.
+ * Renders the root once.
+ * @param rootElement - Root element or its CSS selector
+ * @throws {TypeError} If the root element is not found
+ */
+declare function createApp(rootElement: Element | string): HttlApp;
 
 // ============================================================================
 // URL UTILITIES
@@ -194,7 +385,8 @@ declare function passValue(value: any): string;
 /**
  * Initializes all HTTL-S custom elements and renders data-loops.
  * Call this after DOM is ready (at end of body or in DOMContentLoaded).
- * Registers: for-loop, include-template, if-condition, else-condition,
+ * Registers: for-loop, include-template, if-condition, elseif-condition,
+ * else-condition, switch-block, case-block, default-block,
  * condition-block, state-element
  */
 declare function initState(): void;
@@ -204,14 +396,35 @@ declare function initState(): void;
 // ============================================================================
 
 declare global {
+    interface HTMLElementEventMap {
+        /** Cancelable: preventDefault() skips the render */
+        'httl:beforerender': CustomEvent<HttlRenderEventDetail>;
+        'httl:afterrender': CustomEvent<HttlRenderEventDetail>;
+    }
+
+    interface DocumentEventMap {
+        'httl:beforerender': CustomEvent<HttlRenderEventDetail>;
+        'httl:afterrender': CustomEvent<HttlRenderEventDetail>;
+    }
+
     interface Window {
         loader: Loader;
+        configure: typeof configure;
         watch: typeof watch;
+        computed: typeof computed;
         safeEval: typeof safeEval;
         parseTemplate: typeof parseTemplate;
+        escapeHTML: typeof escapeHTML;
+        registerFilter: typeof registerFilter;
+        i18n: I18n;
+        t: typeof t;
+        sanitizeHTML: typeof sanitizeHTML;
+        useTrustedTypesPolicy: typeof useTrustedTypesPolicy;
         createRangeArray: typeof createRangeArray;
         setState: typeof setState;
         renderDataLoops: typeof renderDataLoops;
+        loopInfo: typeof loopInfo;
+        createApp: typeof createApp;
         convertRelativeToAbsolute: typeof convertRelativeToAbsolute;
         extractDirectory: typeof extractDirectory;
         getType: typeof getType;